@@ -0,0 +1,421 @@
+/*  anki-export.js  –  Turn the question bank into Anki-importable files
+ *
+ *  Loaded by options.html. Exposes one global, AnkiExport:
+ *    toTSV(entries)        -> string   (Anki "Import File" text, deck per chapter)
+ *    toApkg(entries)       -> Promise<Uint8Array>   (zipped collection.anki2)
+ *
+ *  An .apkg is a zip holding a SQLite database, so this file carries a tiny
+ *  write-only SQLite encoder and an uncompressed ("stored") zip writer.
+ */
+
+const AnkiExport = (() => {
+    "use strict";
+
+    const DECK_PREFIX = "Norton";
+    const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+    /* ======= CARD CONTENT ======= */
+
+    function escapeHtml(s) {
+        return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+    }
+
+    function deckName(entry) {
+        return `${DECK_PREFIX}::${(entry.chapter || "Untitled").replace(/::/g, ":")}`;
+    }
+
+    function cardFront(entry) {
+        const opts = entry.options.map((o, i) => `${LETTERS[i] || i + 1}. ${escapeHtml(o)}`);
+        return `${escapeHtml(entry.question)}<br><br>${opts.join("<br>")}`;
+    }
+
+    function cardBack(entry) {
+        if (entry.correct) {
+            const i = entry.options.indexOf(entry.correct);
+            return `${LETTERS[i] || ""}. ${escapeHtml(entry.correct)}`;
+        }
+        const wrong = entry.wrong.map(w => `&#10007; ${escapeHtml(w)}`).join("<br>");
+        return `(correct answer not found yet)<br>${wrong}`;
+    }
+
+    /* ======= TAB-SEPARATED TEXT ======= */
+
+    function toTSV(entries) {
+        const clean = s => s.replace(/[\t\r\n]+/g, " ");
+        const lines = [
+            "#separator:tab",
+            "#html:true",
+            "#notetype:Basic",
+            "#deck column:3",
+        ];
+        for (const e of entries) {
+            lines.push([cardFront(e), cardBack(e), deckName(e)].map(clean).join("\t"));
+        }
+        return lines.join("\n") + "\n";
+    }
+
+    /* ======= MINIMAL SQLITE WRITER ======= */
+
+    const PAGE = 4096;
+
+    function utf8(s) { return new TextEncoder().encode(s); }
+
+    /** SQLite varint: big-endian 7-bit groups (values here stay below 2^53). */
+    function varint(v) {
+        const bytes = [];
+        do {
+            bytes.unshift(v % 128);
+            v = Math.floor(v / 128);
+        } while (v > 0);
+        for (let i = 0; i < bytes.length - 1; i++) bytes[i] |= 0x80;
+        return bytes;
+    }
+
+    /** Encode one row as a SQLite record (header of serial types + body). */
+    function encodeRecord(values) {
+        const types = [];
+        const bodies = [];
+        for (const v of values) {
+            if (v === null || v === undefined) {
+                types.push(0);
+            } else if (typeof v === "number") {
+                if (v === 0) { types.push(8); continue; }
+                if (v === 1) { types.push(9); continue; }
+                const sizes = [[1, 1], [2, 2], [3, 3], [4, 4], [6, 5], [8, 6]];
+                const [n, type] = sizes.find(([n]) => v >= -(2 ** (8 * n - 1)) && v < 2 ** (8 * n - 1));
+                let big = BigInt.asUintN(8 * n, BigInt(v));
+                const b = new Uint8Array(n);
+                for (let i = n - 1; i >= 0; i--) { b[i] = Number(big & 0xffn); big >>= 8n; }
+                types.push(type);
+                bodies.push(b);
+            } else {
+                const b = utf8(String(v));
+                types.push(b.length * 2 + 13);
+                bodies.push(b);
+            }
+        }
+
+        const typeBytes = types.flatMap(varint);
+        let headerSize = typeBytes.length + 1;
+        if (varint(headerSize).length > 1) headerSize = typeBytes.length + varint(typeBytes.length + 2).length;
+
+        return concat([Uint8Array.from(varint(headerSize)), Uint8Array.from(typeBytes), ...bodies]);
+    }
+
+    function concat(parts) {
+        const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+        let off = 0;
+        for (const p of parts) { out.set(p, off); off += p.length; }
+        return out;
+    }
+
+    function put16(buf, off, v) { buf[off] = v >> 8; buf[off + 1] = v & 0xff; }
+    function put32(buf, off, v) { new DataView(buf.buffer, buf.byteOffset).setUint32(off, v); }
+
+    /**
+     * Build a database file from [{ name, sql, rows: [[rowid, ...values]] }].
+     * Rows must be sorted by rowid. Returns a Uint8Array.
+     */
+    function buildSqlite(tables) {
+        const pages = [new Uint8Array(PAGE)]; // page 1 = sqlite_master
+        const alloc = () => { pages.push(new Uint8Array(PAGE)); return pages.length; };
+
+        // Table leaf cell, spilling to overflow pages when the payload is large
+        function leafCell(rowid, record) {
+            const P = record.length;
+            const X = PAGE - 35;
+            let local = P;
+            if (P > X) {
+                const M = Math.floor((PAGE - 12) * 32 / 255) - 23;
+                const K = M + ((P - M) % (PAGE - 4));
+                local = K <= X ? K : M;
+            }
+            const head = Uint8Array.from([...varint(P), ...varint(rowid)]);
+            if (local === P) return concat([head, record]);
+
+            // Chain the rest across overflow pages: [next page u32][data]
+            let rest = record.subarray(local);
+            const first = alloc();
+            let pageNo = first;
+            while (rest.length > 0) {
+                const chunk = rest.subarray(0, PAGE - 4);
+                rest = rest.subarray(chunk.length);
+                const page = pages[pageNo - 1];
+                const next = rest.length > 0 ? alloc() : 0;
+                put32(page, 0, next);
+                page.set(chunk, 4);
+                pageNo = next;
+            }
+            const ptr = new Uint8Array(4);
+            put32(ptr, 0, first);
+            return concat([head, record.subarray(0, local), ptr]);
+        }
+
+        // Lay cells out on one b-tree page (callers have already packed them to fit)
+        function writePage(pageNo, type, cells, rightPtr, hdrOff = 0) {
+            const page = pages[pageNo - 1];
+            const hdrLen = type === 0x0d ? 8 : 12;
+            let content = PAGE;
+            const ptrs = [];
+            for (const c of cells) {
+                content -= c.length;
+                page.set(c, content);
+                ptrs.push(content);
+            }
+            page[hdrOff] = type;
+            put16(page, hdrOff + 1, 0);
+            put16(page, hdrOff + 3, cells.length);
+            put16(page, hdrOff + 5, content);
+            page[hdrOff + 7] = 0;
+            if (type === 0x05) put32(page, hdrOff + 8, rightPtr);
+            ptrs.forEach((p, i) => put16(page, hdrOff + hdrLen + i * 2, p));
+        }
+
+        // Greedily split cells into groups that each fit on one page
+        function pack(cells, hdrLen) {
+            const groups = [[]];
+            let used = hdrLen;
+            for (const c of cells) {
+                if (used + c.cell.length + 2 > PAGE && groups[groups.length - 1].length > 0) {
+                    groups.push([]);
+                    used = hdrLen;
+                }
+                groups[groups.length - 1].push(c);
+                used += c.cell.length + 2;
+            }
+            return groups;
+        }
+
+        function buildTree(rows) {
+            const cells = rows.map(([rowid, ...values]) => ({ key: rowid, cell: leafCell(rowid, encodeRecord(values)) }));
+            let level = pack(cells, 8).map(group => {
+                const pageNo = alloc();
+                writePage(pageNo, 0x0d, group.map(c => c.cell));
+                return { pageNo, key: group.length ? group[group.length - 1].key : 0 };
+            });
+
+            // Interior levels until a single root remains
+            while (level.length > 1) {
+                const children = level.slice(0, -1).map(ch => ({
+                    key: ch.key,
+                    child: ch,
+                    cell: (() => {
+                        const b = new Uint8Array(4);
+                        put32(b, 0, ch.pageNo);
+                        return Uint8Array.from([...b, ...varint(ch.key)]);
+                    })(),
+                }));
+                const groups = pack(children, 12);
+                const last = level[level.length - 1];
+                const next = [];
+                groups.forEach((group, gi) => {
+                    const pageNo = alloc();
+                    // Each group's right-most child is the next group's first left child
+                    const right = gi < groups.length - 1 ? group.pop().child : last;
+                    writePage(pageNo, 0x05, group.map(c => c.cell), right.pageNo);
+                    next.push({ pageNo, key: right.key });
+                });
+                level = next;
+            }
+            return level[0].pageNo;
+        }
+
+        const master = tables.map((t, i) => {
+            const root = buildTree(t.rows);
+            return [i + 1, "table", t.name, t.name, root, t.sql];
+        });
+        const masterCells = master.map(([rowid, ...values]) => leafCell(rowid, encodeRecord(values)));
+        if (masterCells.reduce((n, c) => n + c.length + 2, 108) > PAGE) throw new Error("Schema too large");
+        writePage(1, 0x0d, masterCells, 0, 100);
+
+        // 100-byte database header on page 1
+        const h = pages[0];
+        h.set(utf8("SQLite format 3\0"), 0);
+        put16(h, 16, PAGE);
+        h[18] = 1; h[19] = 1;            // legacy (rollback journal) read/write versions
+        h[20] = 0; h[21] = 64; h[22] = 32; h[23] = 32;
+        put32(h, 24, 1);                 // file change counter
+        put32(h, 28, pages.length);      // database size in pages
+        put32(h, 40, 1);                 // schema cookie
+        put32(h, 44, 4);                 // schema format
+        put32(h, 56, 1);                 // UTF-8
+        put32(h, 92, 1);                 // version-valid-for
+        put32(h, 96, 3045000);
+
+        return concat(pages);
+    }
+
+    /* ======= ZIP (stored, no compression) ======= */
+
+    const CRC_TABLE = (() => {
+        const t = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            t[n] = c >>> 0;
+        }
+        return t;
+    })();
+
+    function crc32(data) {
+        let c = 0xffffffff;
+        for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    }
+
+    /** files: [{ name, data: Uint8Array }] -> zip bytes */
+    function zip(files) {
+        const locals = [];
+        const centrals = [];
+        let offset = 0;
+
+        for (const f of files) {
+            const name = utf8(f.name);
+            const crc = crc32(f.data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, f.data.length, true);
+            local.setUint32(22, f.data.length, true);
+            local.setUint16(26, name.length, true);
+            locals.push(new Uint8Array(local.buffer), name, f.data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, f.data.length, true);
+            central.setUint32(24, f.data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centrals.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + f.data.length;
+        }
+
+        const cdSize = centrals.reduce((n, p) => n + p.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, cdSize, true);
+        end.setUint32(16, offset, true);
+
+        return concat([...locals, ...centrals, new Uint8Array(end.buffer)]);
+    }
+
+    /* ======= ANKI COLLECTION ======= */
+
+    const SCHEMA = {
+        col: "CREATE TABLE col (id integer primary key, crt integer not null, mod integer not null, scm integer not null, ver integer not null, dty integer not null, usn integer not null, ls integer not null, conf text not null, models text not null, decks text not null, dconf text not null, tags text not null)",
+        notes: "CREATE TABLE notes (id integer primary key, guid text not null, mid integer not null, mod integer not null, usn integer not null, tags text not null, flds text not null, sfld integer not null, csum integer not null, flags integer not null, data text not null)",
+        cards: "CREATE TABLE cards (id integer primary key, nid integer not null, did integer not null, ord integer not null, mod integer not null, usn integer not null, type integer not null, queue integer not null, due integer not null, ivl integer not null, factor integer not null, reps integer not null, lapses integer not null, left integer not null, odue integer not null, odid integer not null, flags integer not null, data text not null)",
+        revlog: "CREATE TABLE revlog (id integer primary key, cid integer not null, usn integer not null, ease integer not null, ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null, type integer not null)",
+        graves: "CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null)",
+    };
+
+    function deckJson(id, name, mod) {
+        return {
+            id, name, mod, usn: -1, desc: "", dyn: 0, conf: 1, collapsed: false, browserCollapsed: false,
+            extendNew: 0, extendRev: 0,
+            newToday: [0, 0], revToday: [0, 0], lrnToday: [0, 0], timeToday: [0, 0],
+        };
+    }
+
+    function modelJson(id, did, mod) {
+        const fld = (name, ord) => ({ name, ord, sticky: false, rtl: false, font: "Arial", size: 20, media: [] });
+        return {
+            id, name: "Norton Study (Basic)", type: 0, mod, usn: -1, sortf: 0, did,
+            tmpls: [{
+                name: "Card 1", ord: 0, did: null, bqfmt: "", bafmt: "",
+                qfmt: "{{Front}}",
+                afmt: "{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}",
+            }],
+            flds: [fld("Front", 0), fld("Back", 1)],
+            css: ".card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }",
+            latexPre: "\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n",
+            latexPost: "\\end{document}",
+            latexsvg: false,
+            req: [[0, "any", [0]]],
+            tags: [], vers: [],
+        };
+    }
+
+    const DCONF = {
+        1: {
+            id: 1, name: "Default", mod: 0, usn: 0, maxTaken: 60, autoplay: true, timer: 0, replayq: true, dyn: false,
+            new: { delays: [1, 10], ints: [1, 4, 7], initialFactor: 2500, separate: true, order: 1, perDay: 20, bury: false },
+            lapse: { delays: [10], mult: 0, minInt: 1, leechFails: 8, leechAction: 0 },
+            rev: { perDay: 200, ease4: 1.3, fuzz: 0.05, minSpace: 1, ivlFct: 1, maxIvl: 36500, bury: false, hardFactor: 1.2 },
+        },
+    };
+
+    /** Anki's checksum: first 8 hex digits of SHA-1 over the plain-text sort field. */
+    async function checksum(html) {
+        const text = html.replace(/<[^>]*>/g, "");
+        const digest = await crypto.subtle.digest("SHA-1", utf8(text));
+        return parseInt([...new Uint8Array(digest).slice(0, 4)].map(b => b.toString(16).padStart(2, "0")).join(""), 16);
+    }
+
+    function guid() {
+        const chars = "abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
+        return Array.from(crypto.getRandomValues(new Uint8Array(10)), b => chars[b % chars.length]).join("");
+    }
+
+    async function toApkg(entries) {
+        const nowMs = Date.now();
+        const now = Math.floor(nowMs / 1000);
+        const mid = nowMs;
+
+        const decks = { 1: deckJson(1, "Default", now) };
+        const deckIds = {};
+        for (const e of entries) {
+            const name = deckName(e);
+            if (!deckIds[name]) {
+                deckIds[name] = nowMs + Object.keys(deckIds).length + 1;
+                decks[deckIds[name]] = deckJson(deckIds[name], name, now);
+            }
+        }
+        const firstDid = Object.values(deckIds)[0] || 1;
+
+        const conf = {
+            activeDecks: [1], curDeck: 1, newSpread: 0, collapseTime: 1200, timeLim: 0, estTimes: true,
+            dueCounts: true, curModel: String(mid), nextPos: entries.length + 1, sortType: "noteFld",
+            sortBackwards: false, addToCur: true,
+        };
+
+        const notes = [];
+        const cards = [];
+        for (let i = 0; i < entries.length; i++) {
+            const e = entries[i];
+            const nid = nowMs + i;
+            const front = cardFront(e);
+            notes.push([nid, guid(), mid, now, -1, "", `${front}\x1f${cardBack(e)}`, front, await checksum(front), 0, ""]);
+            cards.push([nid, nid, deckIds[deckName(e)], 0, now, -1, 0, 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, ""]);
+        }
+
+        const db = buildSqlite([
+            {
+                name: "col", sql: SCHEMA.col, rows: [[
+                    1, null, Math.floor(new Date().setHours(4, 0, 0, 0) / 1000), nowMs, nowMs, 11, 0, 0, 0,
+                    JSON.stringify(conf), JSON.stringify({ [mid]: modelJson(mid, firstDid, now) }),
+                    JSON.stringify(decks), JSON.stringify(DCONF), "{}",
+                ]],
+            },
+            { name: "notes", sql: SCHEMA.notes, rows: notes.map(n => [n[0], null, ...n.slice(1)]) },
+            { name: "cards", sql: SCHEMA.cards, rows: cards.map(c => [c[0], null, ...c.slice(1)]) },
+            { name: "revlog", sql: SCHEMA.revlog, rows: [] },
+            { name: "graves", sql: SCHEMA.graves, rows: [] },
+        ]);
+
+        return zip([
+            { name: "collection.anki2", data: db },
+            { name: "media", data: utf8("{}") },
+        ]);
+    }
+
+    return { toTSV, toApkg };
+})();
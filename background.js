@@ -1,123 +1,568 @@
 /*  background.js  –  Service Worker
  *
- *  1. OpenAI API proxy (gpt-5.2)
- *  2. Broadcasts "startSolving" to all frames via messaging
- *  3. Fallback: uses chrome.scripting.executeScript to inject solver
+ *  1. AI proxy over providers.js (OpenAI, Anthropic or a local OpenAI-compatible server)
+ *  2. Broadcasts "startSolving" / "startExplaining" to all frames (MessageBus.broadcast)
+ *  3. All runtime messages are typed envelopes with ids and timeouts (message-bus.js)
  *  4. Relays "navigateNext" from iframe to top frame
+ *  5. Relays "dismissModal" / "readFeedback" from iframe to top frame
+ *  6. Collects visible ebook text from every frame for the study commands
+ *  7. "Explain selection" and "Read aloud" context menus in every wwnorton.com frame
+ *  8. Study notes per chapter, saved to chrome.storage.local "studyNotes"; glossary terms
+ *     from every frame merged into "glossary" by one serialized writer
+ *  9. Relays "pageChanged" from the top frame to every frame
+ * 10. Multi-turn chat grounded in the visible page (optionally Socratic)
+ * 11. Streams explanations and chat replies to content.js over "nerd-stream" ports
+ * 12. Caches question explanations in IndexedDB (cache.js)
+ * 13. Token usage per day / chapter and a monthly budget (usage.js)
+ * 14. Groups the student's wrong answers into named misconceptions (daily alarm or on demand)
+ * 15. Translates or simplifies reader paragraphs ("Translate" toggle), cached like explanations
+ * 16. Collects section headings from every frame for the citation generator
+ * 17. Per-frame diagnostics log from content.js log lines and message bus failures (logger.js),
+ *     viewed in diagnostics.html
+ * 18. Reading time and focus blocks from every reader tab merged into "readingLog" by one serialized writer
  */
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-
-  /* ── AI request ── */
-  if (msg.type === "askAI") {
-    console.log("[AI] Received question:", msg.question?.slice(0, 100));
-    console.log("[AI] Options:", msg.options);
-    (async () => {
-      try {
-        const { openaiKey } = await chrome.storage.sync.get("openaiKey");
-        if (!openaiKey) {
-          console.error("[AI] No API key set!");
-          sendResponse({ error: "No API key. Set it in extension Options." });
-          return;
-        }
-        console.log("[AI] API key found, calling OpenAI...");
-
-        const letters = ["A", "B", "C", "D", "E", "F"];
-        const optionsList = msg.options.map((o, i) => `${letters[i] || i}. ${o}`).join("\n");
-
-        const prompt = `Question\n${msg.question}\n\nSelect an Answer\n${optionsList}`;
-        console.log("[AI] Full prompt:\n", prompt);
-
-        const res = await fetch("https://api.openai.com/v1/chat/completions", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${openaiKey}`,
-          },
-          body: JSON.stringify({
-            model: "gpt-4o",
-            messages: [
-              {
-                role: "system",
-                content:
-                  "You are answering a multiple-choice question from a college textbook. " +
-                  "Reply with ONLY the letter (A, B, C, or D) of the correct answer. " +
-                  "No explanation, no period, just the letter.",
-              },
-              {
-                role: "user",
-                content: prompt,
-              },
-            ],
-          }),
-        });
-
-        if (!res.ok) {
-          sendResponse({ error: `OpenAI ${res.status}: ${await res.text()}` });
-          return;
-        }
-
-        const data = await res.json();
-        const raw = data.choices?.[0]?.message?.content?.trim() ?? "";
-        console.log("[AI] Raw response:", raw);
-        // Map letter back to index: A->0, B->1, C->2, D->3
-        const letterIdx = letters.indexOf(raw.toUpperCase().replace(/[^A-F]/g, "").charAt(0));
-        const index = letterIdx >= 0 ? letterIdx : 0;
-        console.log("[AI] Mapped to index:", index);
-        sendResponse({ index, raw });
-      } catch (e) {
-        console.error("[AI] Error:", e.message);
-        sendResponse({ error: e.message });
-      }
-    })();
-    return true;
-  }
+importScripts("message-bus.js", "logger.js", "providers.js", "keystore.js", "cache.js", "usage.js");
 
-  /* ── Trigger solving: broadcast + fallback injection ── */
-  if (msg.type === "triggerSolve") {
-    const tabId = sender.tab?.id;
-    if (!tabId) { sendResponse({ error: "no tab" }); return; }
-
-    // Method 1: broadcast via messaging
-    chrome.tabs.sendMessage(tabId, { type: "startSolving" }, () => {
-      if (chrome.runtime.lastError) { /* ok */ }
-    });
-
-    // Method 2: also inject via chrome.scripting as fallback
-    chrome.scripting.executeScript({
-      target: { tabId, allFrames: true },
-      func: () => {
-        window.dispatchEvent(new CustomEvent("nerd-auto-solver-start"));
-      },
-    }).catch(() => { });
-
-    sendResponse({ ok: true });
-    return false;
-  }
+// Broadcast failures, unreachable frames and failed handlers go to the diagnostics log
+MessageBus.onWarning((_type, text) => logWorker("warn", `[Bus] ${text}`));
+
+const LETTERS = ["A", "B", "C", "D", "E", "F"];
+
+const EXPLAIN_PROMPT =
+  "You are a patient tutor helping a college student understand a multiple-choice question " +
+  "from their textbook. For EACH option, explain in 2-3 sentences the concept it refers to " +
+  "and what would have to be true for it to be the answer. Do NOT say which option is correct; " +
+  "finish with one short hint about which concept to focus on. Use plain text, no Markdown.";
+
+const MISTAKE_PROMPT =
+  "A college student answered a multiple-choice textbook question and was told the answer is wrong. " +
+  "Explain in a few sentences why the option they chose is not correct, naming the misconception " +
+  "behind it, then name the concept they should review. Do NOT reveal which other option is correct. " +
+  "Use plain text, no Markdown.";
+
+const PRACTICE_PROMPT =
+  "You write practice questions for a college student from a section of their textbook. " +
+  "Using ONLY the text provided, write new multiple-choice questions with 4 options each. " +
+  'Reply with JSON only: {"questions":[{"question":"...","options":["...","...","...","..."],' +
+  '"answer":<index of the correct option>,"explanation":"one or two sentences"}]}';
+
+const SELECTION_PROMPT =
+  "A college student highlighted a passage in their textbook and wants help understanding it. " +
+  "Reply with JSON only: " +
+  '{"explanation":"plain-language explanation, 2-4 sentences","definition":"a one-sentence ' +
+  'definition of the key term or idea","example":"one concrete everyday example"}';
+
+const NOTES_PROMPT =
+  "You write study notes for a college student from a section of their textbook " +
+  "(headings are marked with #). Using ONLY the text provided, reply with JSON only: " +
+  '{"summary":"a 4-6 sentence summary","keyTerms":[{"term":"...","definition":"..."}],' +
+  '"examConcepts":["concepts most likely to be tested, one short sentence each"]}';
+
+const CHAT_PROMPT =
+  "You are a study assistant for a college student reading their textbook. " +
+  "Answer follow-up questions clearly and concisely, grounded in the page text provided. " +
+  "If the page does not cover something, say so. Use plain text, no Markdown.";
+
+const SOCRATIC_PROMPT =
+  "You are a Socratic tutor for a college student reading their textbook. " +
+  "Do NOT give direct answers. Reply with one or two guiding questions that lead the " +
+  "student to work it out from the page text provided, with a brief hint if they are stuck. " +
+  "Use plain text, no Markdown.";
+
+const MISCONCEPTION_PROMPT =
+  "You analyse the wrong answers a college student picked on multiple-choice textbook questions. " +
+  "Group the numbered wrong answers into named misconceptions (for example \"confuses correlation " +
+  "with causation\"). Only group answers that share a real underlying misunderstanding; leave out " +
+  "answers that look like one-off slips. Reply with JSON only: " +
+  '{"misconceptions":[{"name":"short name","description":"one or two sentences on the ' +
+  'misunderstanding and what to review","items":[<numbers of the wrong answers>]}]}';
+
+const REWRITE_DEFAULTS = { mode: "translate", language: "Spanish", level: "6th grade" };
+
+function rewritePrompt({ mode, language, level }) {
+  const task = mode === "simplify"
+    ? `Rewrite each paragraph from a college textbook at a ${level} reading level for a student who ` +
+      "reads English as a second language. Use short sentences and common words, keep every fact, " +
+      "and keep key terms with a brief plain explanation in parentheses."
+    : `Translate each paragraph from a college textbook into ${language}. Keep the meaning exact; ` +
+      "after each key technical term add the English term in parentheses.";
+  return `${task} Reply with JSON only: {"paragraphs":["...", ...]} with exactly one entry per ` +
+    "input paragraph, in the same order. Plain text, no Markdown.";
+}
+
+const MISCONCEPTION_MAX_ANSWERS = 200;
+const MISCONCEPTION_MIN_NEW = 5;
+
+function buildPrompt(question, options) {
+  const optionsList = options.map((o, i) => `${LETTERS[i] || i}. ${o}`).join("\n");
+  return `Question\n${question}\n\nSelect an Answer\n${optionsList}`;
+}
+
+/** Chapter for usage totals: the reader tab's title, same as content.js getChapter(). */
+function chapterFromTab(tab) {
+  return (tab?.title || "").replace(/\s*[|\u2013-]\s*(W\.\s*W\.\s*)?Norton.*$/i, "").trim() || "Untitled";
+}
+
+/**
+ * Run content.js's text collector in every frame of the tab and join the
+ * results (top frame first). Frames without reader text return "".
+ */
+async function collectFrameText(tabId, maxChars = 12000) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => globalThis.nerdSectionText?.() || "",
+  });
+  return results
+    .sort((a, b) => a.frameId - b.frameId)
+    .map(r => r.result)
+    .filter(t => t && t.length > 200)
+    .join("\n\n")
+    .slice(0, maxChars);
+}
+
+/** First visible heading of each frame, content frames before the top frame. */
+async function collectPageHeadings(tabId) {
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    func: () => globalThis.nerdSectionHeading?.() || "",
+  });
+  return results
+    .sort((a, b) => (a.frameId === 0) - (b.frameId === 0) || a.frameId - b.frameId)
+    .map(r => r.result)
+    .filter(Boolean);
+}
+
+async function generatePractice(tab, count) {
+  const text = await collectFrameText(tab.id);
+  if (!text) throw new Error("No readable section text found on this page.");
+
+  const raw = await chatCompletion([
+    { role: "system", content: PRACTICE_PROMPT },
+    { role: "user", content: `Write ${count} questions.\n\nTextbook section:\n${text}` },
+  ], { json: true, chapter: chapterFromTab(tab) });
+
+  const questions = (parseJsonReply(raw).questions || []).filter(q =>
+    q.question && Array.isArray(q.options) && q.options.length >= 2 &&
+    Number.isInteger(q.answer) && q.answer >= 0 && q.answer < q.options.length);
+  if (questions.length === 0) throw new Error("The model did not return any usable questions.");
+  return questions;
+}
+
+/**
+ * Write notes for the visible section and store them under
+ * studyNotes[book][chapter] = { summary, keyTerms, examConcepts, url, updatedAt }.
+ */
+async function generateNotes(tabId, { book, chapter, url }) {
+  const text = await collectFrameText(tabId);
+  if (!text) throw new Error("No readable section text found on this page.");
+
+  const raw = await chatCompletion([
+    { role: "system", content: NOTES_PROMPT },
+    { role: "user", content: `Textbook section:\n${text}` },
+  ], { json: true, chapter });
+  const reply = parseJsonReply(raw);
+  const notes = {
+    summary: String(reply.summary || ""),
+    keyTerms: (reply.keyTerms || []).filter(k => k?.term),
+    examConcepts: (reply.examConcepts || []).map(String),
+    url,
+    updatedAt: Date.now(),
+  };
 
-  /* ── Navigate next: relay from iframe to top ── */
-  if (msg.type === "navigateNext") {
-    const tabId = sender.tab?.id;
-    if (!tabId) return;
-    chrome.tabs.sendMessage(tabId, { type: "navigateNext" }, () => {
-      if (chrome.runtime.lastError) { /* ok */ }
-    });
-    return false;
+  const { studyNotes = {} } = await chrome.storage.local.get("studyNotes");
+  (studyNotes[book] = studyNotes[book] || {})[chapter] = notes;
+  await chrome.storage.local.set({ studyNotes });
+  return notes;
+}
+
+/* ── Glossary ── */
+
+// Every frame indexes its own terms: one read-modify-write of "glossary" at a time
+let glossaryWriting = Promise.resolve();
+
+/**
+ * Merge terms found by one frame into chrome.storage.local
+ * "glossary": { [book]: { [term lowercased]: { term, definition, url, chapter, addedAt } } }.
+ * First definition seen wins; later pages don't overwrite it. Resolves with the number added.
+ */
+function addGlossaryTerms({ book, chapter, url, terms }) {
+  const write = glossaryWriting.then(async () => {
+    const { glossary = {} } = await chrome.storage.local.get("glossary");
+    const entries = glossary[book] = glossary[book] || {};
+    let added = 0;
+    for (const { term, definition } of terms) {
+      const key = String(term || "").toLowerCase();
+      if (!key || !definition || entries[key]) continue;
+      entries[key] = { term: String(term), definition: String(definition), url, chapter, addedAt: Date.now() };
+      added++;
+    }
+    if (added) await chrome.storage.local.set({ glossary });
+    return added;
+  });
+  glossaryWriting = write.catch(() => { });
+  return write;
+}
+
+/* ── Reading log ── */
+
+const STUDY_DAYS_KEPT = 90;
+
+// The reading ticker and the Pomodoro widget of every reader tab: one write at a time
+let readingLogWriting = Promise.resolve();
+
+/**
+ * Add reading time for one page and/or finished focus blocks to chrome.storage.local
+ * "readingLog" = {
+ *   days:  { "YYYY-MM-DD": { ms, pomodoros, chapters: { [chapter]: ms }, pages: { [src]: ms } } },
+ *   pages: { [#iframe-content src]: { chapter, book, url, ms, lastAt } },
+ * }   Both kept for the last 90 days (pages by lastAt). Shown week by week in Options.
+ */
+function addReadingTime({ page, ms, pomodoros }) {
+  const write = readingLogWriting.then(async () => {
+    const day = localDay();
+    const { readingLog = {} } = await chrome.storage.local.get("readingLog");
+    const { days = {}, pages = {} } = readingLog;
+
+    const d = days[day] = days[day] || { ms: 0, pomodoros: 0, chapters: {}, pages: {} };
+    d.pomodoros += pomodoros;
+    if (ms > 0) {
+      d.ms += ms;
+      d.chapters[page.chapter] = (d.chapters[page.chapter] || 0) + ms;
+      d.pages = d.pages || {};
+      d.pages[page.src] = (d.pages[page.src] || 0) + ms;
+      const p = pages[page.src] = pages[page.src] || { chapter: page.chapter, book: page.book, url: page.url, ms: 0 };
+      p.ms += ms;
+      p.lastAt = Date.now();
+    }
+
+    const cutoffAt = Date.now() - STUDY_DAYS_KEPT * 24 * 60 * 60 * 1000;
+    const cutoff = localDay(new Date(cutoffAt));
+    for (const k of Object.keys(days)) if (k < cutoff) delete days[k];
+    for (const [src, p] of Object.entries(pages)) if (!(p.lastAt >= cutoffAt)) delete pages[src];
+    await chrome.storage.local.set({ readingLog: { days, pages } });
+  });
+  readingLogWriting = write.catch(() => { });
+  return write;
+}
+
+/** Chat messages: system prompt + page context + history [{ role: "user" | "assistant", content }]. */
+async function chatMessages(tabId, history) {
+  const { socraticMode } = await chrome.storage.sync.get("socraticMode");
+  const page = await collectFrameText(tabId, 8000).catch(() => "");
+  const recent = history
+    .filter(m => (m.role === "user" || m.role === "assistant") && m.content)
+    .slice(-20);
+  // The window must open on a question: Anthropic rejects a leading assistant turn,
+  // and a reply without its question is noise to every model
+  while (recent[0]?.role === "assistant") recent.shift();
+
+  return [
+    { role: "system", content: socraticMode ? SOCRATIC_PROMPT : CHAT_PROMPT },
+    { role: "system", content: `Current textbook page:\n${page || "(no readable text found)"}` },
+    ...recent,
+  ];
+}
+
+/** Messages for a streamed study request: { kind: "explain" | "mistake" | "chat", ... }. */
+async function streamMessages(tabId, req) {
+  if (req.kind === "chat") return chatMessages(tabId, req.history || []);
+
+  const prompt = buildPrompt(req.question, req.options);
+  if (req.kind === "explain") {
+    return [
+      { role: "system", content: EXPLAIN_PROMPT },
+      { role: "user", content: prompt },
+    ];
+  }
+  if (req.kind === "mistake") {
+    const chosen = `${LETTERS[req.chosen] || req.chosen}. ${req.options[req.chosen]}`;
+    return [
+      { role: "system", content: MISTAKE_PROMPT },
+      { role: "user", content: `${prompt}\n\nThe student chose: ${chosen}` },
+    ];
   }
+  throw new Error(`Unknown stream kind: ${req.kind}`);
+}
+
+async function explainSelection(tab, text, context) {
+  const raw = await chatCompletion([
+    { role: "system", content: SELECTION_PROMPT },
+    { role: "user", content: `Highlighted text:\n${text}\n\nSurrounding paragraph:\n${context || "(none)"}` },
+  ], { json: true, chapter: chapterFromTab(tab) });
+  const { explanation = "", definition = "", example = "" } = parseJsonReply(raw);
+  return { explanation, definition, example };
+}
+
+/**
+ * Ask the model to group chrome.storage.local "wrongAnswers" into named misconceptions and
+ * store them as "misconceptions" = { updatedAt, analyzedAt, groups: [{ name, description, answers }] },
+ * where answers are the wrongAnswers entries in that group and analyzedAt is the newest
+ * analyzed entry's `at` (the list is capped, so its length cannot mark progress). Read by dashboard.html.
+ */
+async function analyzeMisconceptions() {
+  const { wrongAnswers = [] } = await chrome.storage.local.get("wrongAnswers");
+  const answers = wrongAnswers.slice(-MISCONCEPTION_MAX_ANSWERS);
+  if (answers.length < 2) throw new Error("Answer a few more questions first: there are not enough wrong answers yet.");
+
+  const list = answers.map((a, i) =>
+    `${i + 1}. [${a.chapter}] Q: ${a.question.slice(0, 300)}\n   Wrong answer: ${a.chosen.slice(0, 200)}`).join("\n");
+  const raw = await chatCompletion([
+    { role: "system", content: MISCONCEPTION_PROMPT },
+    { role: "user", content: `Wrong answers:\n${list}` },
+  ], { json: true, chapter: "(misconceptions)" });
+
+  const groups = (parseJsonReply(raw).misconceptions || [])
+    .filter(m => m?.name && Array.isArray(m.items))
+    .map(m => ({
+      name: String(m.name),
+      description: String(m.description || ""),
+      answers: [...new Set(m.items)].map(n => answers[n - 1]).filter(Boolean),
+    }))
+    .filter(m => m.answers.length > 0)
+    .sort((a, b) => b.answers.length - a.answers.length);
+
+  const analyzedAt = Math.max(0, ...wrongAnswers.map(a => a.at || 0));
+  const misconceptions = { updatedAt: Date.now(), analyzedAt, groups };
+  await chrome.storage.local.set({ misconceptions });
+  console.log(`[AI] Misconceptions: ${groups.length} group(s) from ${answers.length} wrong answers`);
+  return misconceptions;
+}
+
+/** Wrong answers recorded after the last analysis (reports from before analyzedAt fall back to updatedAt). */
+function newWrongAnswers(wrongAnswers, misconceptions) {
+  const since = misconceptions?.analyzedAt ?? misconceptions?.updatedAt ?? 0;
+  return wrongAnswers.filter(a => (a.at || 0) > since);
+}
+
+/** Daily run: only with enough new wrong answers and an unlocked key, never prompting the student. */
+async function analyzeMisconceptionsIfDue() {
+  const { wrongAnswers = [], misconceptions } = await chrome.storage.local.get(["wrongAnswers", "misconceptions"]);
+  if (newWrongAnswers(wrongAnswers, misconceptions).length < MISCONCEPTION_MIN_NEW) return;
+
+  const { aiSettings = {} } = await chrome.storage.sync.get("aiSettings");
+  if (await keyStatus(PROVIDERS[aiSettings.provider] ? aiSettings.provider : "openai") === "locked") return;
+  await analyzeMisconceptions();
+}
 
-  /* ── Dismiss modal: relay from iframe to TOP FRAME ONLY and return result ── */
-  if (msg.type === "dismissModal") {
-    const tabId = sender.tab?.id;
-    if (!tabId) { sendResponse({ result: "unknown" }); return false; }
-
-    // Send ONLY to the top frame (frameId: 0) — not all frames
-    chrome.tabs.sendMessage(tabId, { type: "dismissModal" }, { frameId: 0 }, (res) => {
-      if (chrome.runtime.lastError) {
-        sendResponse({ result: "unknown" });
-      } else {
-        sendResponse(res || { result: "unknown" });
+/**
+ * Rewrite paragraphs per chrome.storage.sync "rewriteSettings" = { mode, language, level }.
+ * Resolves with one string per input (null where the model skipped one).
+ */
+async function rewriteParagraphs(tab, texts) {
+  const { rewriteSettings = {} } = await chrome.storage.sync.get("rewriteSettings");
+  const settings = { ...REWRITE_DEFAULTS, ...rewriteSettings };
+  const target = settings.mode === "simplify" ? `simplify:${settings.level}` : `translate:${settings.language}`;
+
+  const model = await activeModelTag();
+  const keys = await Promise.all(texts.map(t => cacheKey("rewrite", t, [], `${model}\n${target}`)));
+  const out = await Promise.all(keys.map(k => cacheGet(k).catch(() => null)));
+  const missing = texts.map((_, i) => i).filter(i => !out[i]);
+  if (missing.length === 0) return out;
+
+  const raw = await chatCompletion([
+    { role: "system", content: rewritePrompt(settings) },
+    { role: "user", content: JSON.stringify({ paragraphs: missing.map(i => texts[i]) }) },
+  ], { json: true, chapter: chapterFromTab(tab) });
+  const paragraphs = parseJsonReply(raw).paragraphs || [];
+
+  missing.forEach((i, j) => {
+    if (typeof paragraphs[j] !== "string" || !paragraphs[j].trim()) return;
+    out[i] = paragraphs[j].trim();
+    cachePut(keys[i], out[i]).catch(e => console.warn("[AI] Cache write failed:", e.message));
+  });
+  return out;
+}
+
+/* ── Context menus: explain or read aloud the highlighted text ── */
+
+chrome.runtime.onInstalled.addListener(() => {
+  migrateSyncedKeys().catch(e => console.warn("[Keys] Migration failed:", e.message));
+  chrome.contextMenus.create({
+    id: "nerd-explain-selection",
+    title: "Explain \"%s\"",
+    contexts: ["selection"],
+    documentUrlPatterns: ["*://*.wwnorton.com/*"],
+  });
+  chrome.contextMenus.create({
+    id: "nerd-read-selection",
+    title: "Read aloud",
+    contexts: ["selection"],
+    documentUrlPatterns: ["*://*.wwnorton.com/*"],
+  });
+  chrome.alarms.create("nerd-misconceptions", { periodInMinutes: 24 * 60 });
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name !== "nerd-misconceptions") return;
+  analyzeMisconceptionsIfDue().catch(e => {
+    console.warn("[AI] Misconception analysis failed:", e.message);
+    logWorker("warn", `Misconception analysis failed: ${e.message}`);
+  });
+});
+
+const SELECTION_MENU_MESSAGES = {
+  "nerd-explain-selection": "explainSelection",
+  "nerd-read-selection": "readSelection",
+};
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const type = SELECTION_MENU_MESSAGES[info.menuItemId];
+  if (!type || !tab?.id) return;
+  // Only the frame that holds the selection draws the card / reads it
+  MessageBus.notify(type, { text: info.selectionText }, { tabId: tab.id, frameId: info.frameId ?? 0 });
+});
+
+/* ── Streamed explanations over a long-lived port ──
+ *
+ *  content.js connects with name "nerd-stream" and posts one request.
+ *  We answer with { type: "delta", text }* then { type: "done" } or { type: "error" }.
+ *  A disconnect (panel closed, page navigated away) aborts the HTTP request.
+ */
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name !== "nerd-stream") return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  port.onMessage.addListener(async req => {
+    try {
+      // Question explanations are cached; chat is always live
+      const key = req.kind === "chat" ? null
+        : await cacheKey(req.kind, req.question, req.options,
+          `${await activeModelTag()}${req.kind === "mistake" ? `\n${req.chosen}` : ""}`);
+      const cached = key && await cacheGet(key).catch(() => null);
+      if (cached) {
+        console.log("[AI] Cache hit:", req.kind);
+        port.postMessage({ type: "delta", text: cached });
+        port.postMessage({ type: "done", cached: true });
+        return;
       }
-    });
-    return true; // ASYNC — keep channel open to forward the response
-  }
+
+      const messages = await streamMessages(port.sender?.tab?.id, req);
+      const full = await streamCompletion(messages, text => port.postMessage({ type: "delta", text }),
+        controller.signal, { chapter: chapterFromTab(port.sender?.tab) });
+      port.postMessage({ type: "done" });
+      if (key && full) cachePut(key, full).catch(e => console.warn("[AI] Cache write failed:", e.message));
+    } catch (e) {
+      if (controller.signal.aborted) return; // port is gone
+      console.error("[AI] Stream error:", e.message);
+      logWorker("error", `Stream error (${req.kind}): ${e.message}`);
+      port.postMessage({ type: "error", error: e.message });
+    }
+  });
+});
+
+/* ── Typed messages (message-bus.js) ──
+ *
+ *  Handlers resolve with their result or throw; the bus replies { result } / { error }
+ *  and the sender gets a resolved or rejected promise.
+ */
+
+function senderTabId(sender) {
+  const tabId = sender.tab?.id;
+  if (tabId === undefined) throw new Error("no tab");
+  return tabId;
+}
+
+/* ── AI request ── */
+MessageBus.handle("askAI", async ({ question, options }, sender) => {
+  console.log("[AI] Received question:", question.slice(0, 100));
+  console.log("[AI] Options:", options);
+  const prompt = buildPrompt(question, options);
+  console.log("[AI] Full prompt:\n", prompt);
+
+  const raw = await chatCompletion([
+    {
+      role: "system",
+      content:
+        "You are answering a multiple-choice question from a college textbook. " +
+        "Reply with ONLY the letter (A, B, C, or D) of the correct answer. " +
+        "No explanation, no period, just the letter.",
+    },
+    {
+      role: "user",
+      content: prompt,
+    },
+  ], { chapter: chapterFromTab(sender.tab) });
+  console.log("[AI] Raw response:", raw);
+  // Map letter back to index: A->0, B->1, C->2, D->3
+  const letterIdx = LETTERS.indexOf(raw.toUpperCase().replace(/[^A-F]/g, "").charAt(0));
+  const index = letterIdx >= 0 ? letterIdx : 0;
+  console.log("[AI] Mapped to index:", index);
+  return { index, raw };
+});
+
+/* ── Practice quiz from the visible section text ── */
+MessageBus.handle("generatePractice", ({ count }, sender) => {
+  senderTabId(sender);
+  return generatePractice(sender.tab, count || 5);
 });
+
+/* ── Study notes for the visible section ── */
+MessageBus.handle("generateNotes", (payload, sender) => generateNotes(senderTabId(sender), payload));
+
+/* ── Glossary terms found by one frame ── */
+MessageBus.handle("glossaryTerms", payload => addGlossaryTerms(payload));
+
+/* ── Reading time / finished focus blocks from one reader tab ── */
+MessageBus.handle("readingTime", payload => addReadingTime(payload));
+
+/* ── Diagnostics: content.js log lines from one frame ── */
+MessageBus.handle("logEvents", ({ events }, sender) => { recordFrameEvents(sender, events); });
+
+/* ── Section headings for a citation ── */
+MessageBus.handle("pageHeadings", (_payload, sender) =>
+  collectPageHeadings(senderTabId(sender)).catch(e => {
+    console.warn("[Cite] Headings error:", e.message);
+    return [];
+  }));
+
+/* ── Explain a highlighted passage ── */
+MessageBus.handle("askSelection", ({ text, context }, sender) => explainSelection(sender.tab, text, context));
+
+/* ── Misconception report: regroup now (dashboard "Analyze now") ── */
+MessageBus.handle("analyzeMisconceptions", () => analyzeMisconceptions());
+
+/* ── Translate / simplify a batch of paragraphs from one frame ── */
+MessageBus.handle("rewriteText", ({ texts }, sender) => rewriteParagraphs(sender.tab, texts));
+
+/* ── Translate toggle: switch every frame on or off ── */
+MessageBus.handle("triggerRewrite", async ({ on }, sender) => {
+  await MessageBus.broadcast(senderTabId(sender), on ? "startRewrite" : "stopRewrite");
+  return true;
+});
+
+/* ── Trigger solving in every frame ── */
+MessageBus.handle("triggerSolve", async (_payload, sender) => {
+  await MessageBus.broadcast(senderTabId(sender), "startSolving");
+  return true;
+});
+
+/* ── Trigger tutor mode: same broadcast, explain-only in every frame ── */
+MessageBus.handle("triggerExplain", async (_payload, sender) => {
+  await MessageBus.broadcast(senderTabId(sender), "startExplaining");
+  return true;
+});
+
+/* ── Reader page changed: tell every frame ── */
+MessageBus.handle("pageChanged", async (_payload, sender) => {
+  await MessageBus.broadcast(senderTabId(sender), "pageChanged");
+  return true;
+});
+
+/* ── Navigate next: relay from iframe to top ──
+ *  Same request id as the iframe's postMessage, so the top frame navigates once.
+ */
+MessageBus.handle("navigateNext", (_payload, sender, msg) =>
+  MessageBus.request("navigateNext", {}, { tabId: senderTabId(sender), frameId: 0, id: msg.id }));
+
+/* ── Dismiss modal / read feedback: relay from iframe to TOP FRAME ONLY and return its result ── */
+const TOP_FRAME_RELAY_MS = 2000;
+
+MessageBus.handle("dismissModal", (_payload, sender) =>
+  MessageBus.request("dismissModal", {}, { tabId: senderTabId(sender), frameId: 0, timeoutMs: TOP_FRAME_RELAY_MS }));
+
+MessageBus.handle("readFeedback", (_payload, sender) =>
+  MessageBus.request("readFeedback", {}, { tabId: senderTabId(sender), frameId: 0, timeoutMs: TOP_FRAME_RELAY_MS }));
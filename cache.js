@@ -0,0 +1,97 @@
+/*  cache.js  –  IndexedDB cache for AI explanations
+ *
+ *  Loaded by background.js (importScripts) and options.html.
+ *  Key:     SHA-256 of kind + normalized question stem + options + extra. background.js puts the
+ *           provider and model in extra (activeModelTag()), so switching models never serves the
+ *           old model's replies, plus e.g. the chosen option
+ *  Limits:  chrome.storage.sync "cacheSettings" = { maxEntries, maxAgeDays }
+ *           oldest entries are evicted past maxEntries; expired entries are ignored and deleted.
+ */
+
+const CACHE_DB = "nerd-cache";
+const CACHE_STORE = "explanations";
+const CACHE_DEFAULTS = { maxEntries: 500, maxAgeDays: 30 };
+
+function openCacheDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(CACHE_DB, 1);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(CACHE_STORE, { keyPath: "key" });
+      store.createIndex("createdAt", "createdAt");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/** Run fn(store) in one transaction and resolve with the last request's result. */
+async function withCacheStore(mode, fn) {
+  const db = await openCacheDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CACHE_STORE, mode);
+    let result;
+    const req = fn(tx.objectStore(CACHE_STORE));
+    if (req) req.onsuccess = () => { result = req.result; };
+    tx.oncomplete = () => { db.close(); resolve(result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+  });
+}
+
+async function loadCacheSettings() {
+  const { cacheSettings = {} } = await chrome.storage.sync.get("cacheSettings");
+  return { ...CACHE_DEFAULTS, ...cacheSettings };
+}
+
+/** Lowercase, collapse whitespace and drop punctuation so trivial markup changes still hit. */
+function normalizeForCache(s) {
+  return String(s || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, " ").trim();
+}
+
+async function cacheKey(kind, question, options, extra = "") {
+  const text = [kind, normalizeForCache(question), ...options.map(normalizeForCache), extra].join("\n");
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+
+/** Cached text for key, or null if missing or expired. */
+async function cacheGet(key) {
+  const entry = await withCacheStore("readonly", store => store.get(key));
+  if (!entry) return null;
+
+  const { maxAgeDays } = await loadCacheSettings();
+  if (Date.now() - entry.createdAt > maxAgeDays * 24 * 60 * 60 * 1000) {
+    await withCacheStore("readwrite", store => store.delete(key));
+    return null;
+  }
+  return entry.text;
+}
+
+async function cachePut(key, text) {
+  const { maxEntries } = await loadCacheSettings();
+  await withCacheStore("readwrite", store => store.put({ key, text, createdAt: Date.now() }));
+
+  // Evict oldest entries beyond the size limit
+  const count = await withCacheStore("readonly", store => store.count());
+  if (count <= maxEntries) return;
+  let excess = count - maxEntries;
+  await withCacheStore("readwrite", store => {
+    store.index("createdAt").openCursor().onsuccess = e => {
+      const cursor = e.target.result;
+      if (!cursor || excess-- <= 0) return;
+      cursor.delete();
+      cursor.continue();
+    };
+  });
+}
+
+async function cacheStats() {
+  const entries = await withCacheStore("readonly", store => store.getAll());
+  return {
+    count: entries.length,
+    bytes: entries.reduce((n, e) => n + e.text.length * 2, 0),
+  };
+}
+
+function cacheClear() {
+  return withCacheStore("readwrite", store => store.clear());
+}
@@ -2,12 +2,66 @@
  *
  *  Runs in ALL frames on *.wwnorton.com.
  *  shadow-patch.js (MAIN world) runs first to force shadow DOMs open.
+ *  question-parser.js (loaded just before this file) reads questions and options from the DOM.
+ *  message-bus.js (loaded first) carries every message to and from background.js and
+ *  between frames: typed payloads, request ids, timeouts, origin-checked postMessage.
+ *  Log lines are also sent to the service worker's per-frame diagnostics log (logger.js).
  *
  *  Flow:
- *    1. Ask AI (gpt-5.2) for best guess
+ *    1. Ask AI (provider configured in Options) for best guess
  *    2. Select AI's answer -> click Check Answer -> dismiss feedback modal
  *    3. Modal says "Finish" = correct -> move on; "Try Again" = wrong -> try next option
  *    4. After all questions on page -> Option+ArrowRight -> auto-continue on next page
+ *
+ *  Tutor mode ("Explain" button):
+ *    Reads each question + options and shows an AI explanation of the concepts
+ *    in an overlay panel. Never selects, checks or dismisses anything.
+ *    Explanations and chat replies stream in over a port and are cancelled
+ *    when the reader navigates to another page.
+ *
+ *  Practice ("Practice" button):
+ *    Reads the visible section text and shows NEW AI-written questions in a
+ *    self-contained overlay quiz, graded locally. Norton's widgets are untouched.
+ *
+ *  Study notes ("Notes" button):
+ *    Summary, key terms and likely exam concepts for the current section,
+ *    saved per chapter and exported as Markdown from the Options page.
+ *
+ *  Chat ("Chat" button):
+ *    Collapsible multi-turn chat beside the toolbar; the page's visible text is
+ *    sent as context. "Socratic" mode answers with guiding questions instead.
+ *
+ *  Glossary:
+ *    Bold / defined terms on every reader page are indexed with their defining
+ *    sentence and source URL (chrome.storage.local "glossary"), searchable in Options.
+ *
+ *  Explain selection (context menu):
+ *    Highlighted text -> floating card with explanation, definition and example.
+ *    Works inside the reader's (forced-open) shadow roots.
+ *
+ *  Read aloud (🔊 on panels and cards, "Read aloud" context menu, Ctrl/Cmd+Shift+Y):
+ *    Web Speech API with the spoken word highlighted; speed and voice from Options
+ *    ("speechSettings"), Ctrl/Cmd+Shift+, / . to change speed while reading.
+ *
+ *  Translate / Simplify (toolbar toggle):
+ *    Rewrites visible paragraphs in every frame (shadow roots included) into the
+ *    language or reading level chosen in Options; hover a paragraph for the original.
+ *
+ *  Cite ("Cite" button):
+ *    APA / MLA / Chicago citations for the current page from the book title, chapter,
+ *    section heading and URL, with copy buttons; copied ones are kept per book for Options.
+ *
+ *  Study time (top frame):
+ *    Active reading time per page and chapter, split on #iframe-content src changes,
+ *    goes to chrome.storage.local "readingLog" (weekly log in Options). "Focus" starts
+ *    a Pomodoro session in a small widget with break reminders.
+ *
+ *  Student attempts:
+ *    Watches the student's OWN Check Answer clicks (trusted events only) and
+ *    reads the feedback modal without touching it. "Try Again" -> explain the mistake
+ *    and add it to the mistake log (reviewed in review.html). Every attempt feeds the
+ *    progress dashboard (dashboard.html). Picking an option first asks "How sure are
+ *    you?" (1–5); ratings are paired with the outcome for the calibration report.
  */
 
 (() => {
@@ -17,8 +71,39 @@
     const isTop = (window === window.top);
 
     const sleep = ms => new Promise(r => setTimeout(r, ms));
-    const log = (...a) => console.log(P, ...a);
-    const warn = (...a) => console.warn(P, ...a);
+    const log = (...a) => { console.log(P, ...a); record("info", a); };
+    const warn = (...a) => { console.warn(P, ...a); record("warn", a); };
+    const logError = (...a) => { console.error(P, ...a); record("error", a); };
+
+    /* ======= DIAGNOSTICS LOG ======= */
+
+    // log / warn / logError lines also go to the service worker (logger.js), batched,
+    // so students can export them from the Diagnostics page for a bug report
+    const LOG_FLUSH_MS = 15000;
+    let logQueue = [];
+
+    function logArg(a) {
+        if (a instanceof Error) return a.stack || a.message;
+        if (typeof a === "string") return a;
+        try { return JSON.stringify(a); } catch (_) { return String(a); }
+    }
+
+    function record(level, args) {
+        logQueue.push({ at: Date.now(), level, text: args.map(logArg).join(" ") });
+        if (logQueue.length === 1) setTimeout(flushLog, LOG_FLUSH_MS);
+    }
+
+    function flushLog() {
+        const events = logQueue.splice(0);
+        // After an extension update this frame can no longer reach the worker
+        if (events.length && chrome.runtime?.id) MessageBus.notify("logEvents", { events });
+    }
+
+    window.addEventListener("pagehide", flushLog);
+
+    // Bus timeouts, unreachable frames and rejected origins belong in the log too. A failed
+    // logEvents is not logged: it would only be queued for the next failing flush.
+    MessageBus.onWarning((type, text) => { if (type !== "logEvents") record("warn", ["[Bus]", text]); });
 
     log(`Loaded. Frame=${isTop ? "TOP" : "IFRAME"} URL=${location.href.slice(0, 100)}`);
 
@@ -28,21 +113,9 @@
         log(`IFRAME URL: ${location.href.slice(0, 120)}`);
     }
 
-    /* ======= DEEP SHADOW DOM TRAVERSAL ======= */
-
-    function deepFind(root, selector) {
-        let found = [...root.querySelectorAll(selector)];
-        for (const el of root.querySelectorAll("*")) {
-            if (el.shadowRoot) found = found.concat(deepFind(el.shadowRoot, selector));
-        }
-        return found;
-    }
+    /* ======= QUESTION PARSING (question-parser.js) ======= */
 
-    function deepFindByText(root, tag, text) {
-        return deepFind(root, tag).filter(el =>
-            el.textContent.trim().toLowerCase().includes(text.toLowerCase())
-        );
-    }
+    const { deepFind, deepFindByText, groupByName, getLabel, getQuestionText } = QuestionParser;
 
     /* ======= CLICK / RADIO HELPERS ======= */
 
@@ -96,15 +169,6 @@
         return radios;
     }
 
-    function groupByName(radios) {
-        const groups = {};
-        radios.forEach(r => {
-            const key = r.name || r.getAttribute("name") || "__default__";
-            (groups[key] = groups[key] || []).push(r);
-        });
-        return Object.values(groups);
-    }
-
     /* ======= COMPLETION DETECTION ======= */
 
     function isQuestionComplete(radios) {
@@ -130,91 +194,6 @@
         return false;
     }
 
-    /* ======= SCRAPE QUESTION DATA ======= */
-
-    function getLabel(radio) {
-        function clean(s) {
-            return (s || "").trim().replace(/^[A-F]\.\s*/i, "").trim();
-        }
-
-        // 1. Try parent <label> — but only if it has substantial text
-        const pLbl = radio.closest("label");
-        if (pLbl) {
-            const txt = clean(pLbl.textContent);
-            if (txt.length > 3) return txt;
-        }
-
-        // 2. Try label[for="id"]
-        const root = radio.getRootNode();
-        if (radio.id) {
-            const lbl = root.querySelector?.(`label[for="${radio.id}"]`);
-            if (lbl) {
-                const txt = clean(lbl.textContent);
-                if (txt.length > 3) return txt;
-            }
-        }
-
-        // 3. Check siblings of the radio (answer text might be next to it)
-        const sib = radio.nextElementSibling;
-        if (sib) {
-            const txt = clean(sib.textContent);
-            if (txt.length > 3) return txt;
-        }
-
-        // 4. Check parent's children — the answer text may be a sibling div/span
-        const parent = radio.parentElement;
-        if (parent) {
-            for (const child of parent.children) {
-                if (child === radio) continue;
-                const txt = clean(child.textContent);
-                if (txt.length > 3) return txt;
-            }
-            // 5. Try grandparent's children
-            const gp = parent.parentElement;
-            if (gp) {
-                for (const child of gp.children) {
-                    if (child === parent || child.querySelector?.("input")) continue;
-                    const txt = clean(child.textContent);
-                    if (txt.length > 3) return txt;
-                }
-            }
-        }
-
-        // 6. Fallback: parent text
-        const txt = clean(parent?.textContent);
-        return txt || "(no label)";
-    }
-
-    function getQuestionText(radios) {
-        let el = radios[0];
-        for (let i = 0; i < 20 && el; i++) {
-            const root = el.getRootNode();
-            const node = (root instanceof ShadowRoot) ? root.host : el;
-            const t = node?.textContent || "";
-
-            if (t.includes("Question") && t.includes("Select an Answer")) {
-                const m = t.match(/Question\s*([\s\S]*?)(?:Select an Answer)/i);
-                if (m && m[1].trim().length > 5) return m[1].trim();
-            }
-
-            if (root instanceof ShadowRoot) el = root.host;
-            else el = el.parentElement;
-        }
-
-        // Fallback
-        let container = radios[0].parentElement;
-        for (let i = 0; i < 10 && container; i++) {
-            const t = container.textContent || "";
-            if (t.length > 50 && t.length < 2000) {
-                const m = t.match(/Question\s*([\s\S]*?)(?:Select an Answer)/i);
-                if (m) return m[1].trim();
-            }
-            container = container.parentElement;
-        }
-
-        return "(Could not extract question text)";
-    }
-
     /* ======= CHECK ANSWER + MODAL DISMISSAL ======= */
 
     function findCheckAnswerBtn(radios) {
@@ -242,58 +221,61 @@
     }
 
     /**
-     * Try to dismiss feedback modal in THIS frame.
-     * Returns: "correct" | "wrong" | null
+     * Find the feedback modal's button in THIS frame without clicking it.
+     * Returns: { result: "correct" | "wrong", btn, kind } | null
      *
      * Norton shows:
      *   CORRECT answer -> "Finish" button
      *   WRONG   answer -> "Try Again" button
      */
-    function tryDismissLocal() {
+    function detectFeedback() {
+        const isVisible = el => {
+            try { return el.offsetWidth > 0 && el.offsetHeight > 0; } catch (_) { return true; }
+        };
+
         // Check for "Try Again" first (wrong answer)
         for (const kw of ["try again", "retry"]) {
-            const btns = deepFindByText(document, "button", kw);
-            const visible = btns.filter(b => {
-                try { return b.offsetWidth > 0 && b.offsetHeight > 0; } catch (_) { return true; }
-            });
-            if (visible.length > 0) {
-                log(`  Modal: WRONG -> clicking "${visible[0].textContent.trim().slice(0, 30)}"`);
-                nativeClick(visible[0]);
-                return "wrong";
-            }
+            const visible = deepFindByText(document, "button", kw).filter(isVisible);
+            if (visible.length > 0) return { result: "wrong", btn: visible[0], kind: "button" };
         }
 
         // Check for "Finish" / completion buttons (correct answer)
         for (const kw of ["finish", "ok", "done", "continue", "got it"]) {
-            const btns = deepFindByText(document, "button", kw);
-            const visible = btns.filter(b => {
-                try { return b.offsetWidth > 0 && b.offsetHeight > 0; } catch (_) { return true; }
-            });
-            if (visible.length > 0) {
-                log(`  Modal: CORRECT -> clicking "${visible[0].textContent.trim().slice(0, 30)}"`);
-                nativeClick(visible[0]);
-                return "correct";
-            }
+            const visible = deepFindByText(document, "button", kw).filter(isVisible);
+            if (visible.length > 0) return { result: "correct", btn: visible[0], kind: "button" };
         }
 
-        // Try close button by class
+        // Close button by class — usually means correct/done
         const closeBtn = document.querySelector(".question-frame__feedback__close-btn");
-        if (closeBtn && closeBtn.offsetWidth > 0) {
-            log("  Dismissing via close btn");
-            nativeClick(closeBtn);
-            return "correct"; // close btn usually means correct/done
-        }
+        if (closeBtn && closeBtn.offsetWidth > 0) return { result: "correct", btn: closeBtn, kind: "close" };
 
-        // Try aria-label close
+        // aria-label close
         for (const label of ["Close", "close", "Dismiss"]) {
             const els = deepFind(document, `[aria-label="${label}"]`);
             const visible = els.filter(e => { try { return e.offsetWidth > 0; } catch (_) { return true; } });
-            if (visible.length > 0) { nativeClick(visible[0]); return "correct"; }
+            if (visible.length > 0) return { result: "correct", btn: visible[0], kind: "aria" };
         }
 
         return null;
     }
 
+    /**
+     * Try to dismiss feedback modal in THIS frame.
+     * Returns: "correct" | "wrong" | null
+     */
+    function tryDismissLocal() {
+        const fb = detectFeedback();
+        if (!fb) return null;
+
+        if (fb.kind === "button") {
+            log(`  Modal: ${fb.result === "wrong" ? "WRONG" : "CORRECT"} -> clicking "${fb.btn.textContent.trim().slice(0, 30)}"`);
+        } else if (fb.kind === "close") {
+            log("  Dismissing via close btn");
+        }
+        nativeClick(fb.btn);
+        return fb.result;
+    }
+
     /**
      * Dismiss feedback modal. Returns "correct" | "wrong" | "unknown"
      */
@@ -310,11 +292,9 @@
         // If we're in an iframe, ask TOP frame to dismiss and return result
         if (!isTop) {
             log("  Modal not in iframe. Asking TOP frame...");
-            const result = await new Promise(resolve => {
-                chrome.runtime.sendMessage({ type: "dismissModal" }, res => {
-                    if (chrome.runtime.lastError) { resolve("unknown"); return; }
-                    resolve(res?.result || "unknown");
-                });
+            const result = await MessageBus.request("dismissModal").catch(e => {
+                warn("dismissModal:", e.message);
+                return "unknown";
             });
             await sleep(1500);
             log(`  TOP frame says: ${result}`);
@@ -324,24 +304,87 @@
         return "unknown";
     }
 
+    /**
+     * Read (never click) the feedback modal for the student's own attempt.
+     * Checks THIS frame first, then asks the TOP frame.
+     * Returns "correct" | "wrong" | null
+     */
+    async function readFeedback() {
+        const local = detectFeedback();
+        if (local) return local.result;
+        if (isTop) return null;
+
+        // Polled while the student answers: a missed reply just means "not yet"
+        return MessageBus.request("readFeedback").catch(() => null);
+    }
+
     /* ======= ASK AI ======= */
 
     function askAI(q, opts) {
-        return new Promise(resolve => {
-            chrome.runtime.sendMessage({ type: "askAI", question: q, options: opts }, res => {
-                if (chrome.runtime.lastError) {
-                    warn("AI ERROR:", chrome.runtime.lastError.message);
-                    resolve({ index: 0, error: true });
-                    return;
-                }
-                if (res?.error) {
-                    warn("AI ERROR:", res.error);
-                    resolve({ index: 0, error: true });
-                    return;
-                }
-                resolve(res);
-            });
+        return MessageBus.request("askAI", { question: q, options: opts }).catch(e => {
+            warn("AI ERROR:", e.message);
+            return { index: 0, error: true };
+        });
+    }
+
+    /* ======= STREAMED EXPLANATIONS ======= */
+
+    const activeStreams = new Set();
+
+    /**
+     * Stream a study request ({ kind: "explain" | "mistake" | "chat", ... }) over a
+     * "nerd-stream" port. onDelta(text) runs per chunk.
+     * Returns { promise, cancel }; promise resolves { text } | { error } | { cancelled: true }.
+     */
+    function streamAI(request, onDelta) {
+        const port = chrome.runtime.connect({ name: "nerd-stream" });
+        let text = "";
+        let settle;
+        const promise = new Promise(resolve => { settle = resolve; });
+        const finish = result => {
+            if (!activeStreams.delete(stream)) return;
+            settle(result);
+        };
+        const stream = {
+            promise,
+            cancel: () => { finish({ cancelled: true }); port.disconnect(); },
+        };
+        activeStreams.add(stream);
+
+        port.onMessage.addListener(msg => {
+            if (msg.type === "delta") { text += msg.text; onDelta(msg.text); }
+            else if (msg.type === "done") { finish({ text }); port.disconnect(); }
+            else if (msg.type === "error") { finish({ error: msg.error }); port.disconnect(); }
         });
+        port.onDisconnect.addListener(() => finish({ error: chrome.runtime.lastError?.message || "Disconnected" }));
+        port.postMessage(request);
+        return stream;
+    }
+
+    function cancelStreams() {
+        if (activeStreams.size) log(`Cancelling ${activeStreams.size} explanation stream(s).`);
+        [...activeStreams].forEach(s => s.cancel());
+    }
+
+    /** Stream into a "Thinking..." text element; stops if the element leaves the page. */
+    async function streamInto(el, request) {
+        let first = true;
+        const stream = streamAI(request, delta => {
+            if (!el.isConnected) { stream.cancel(); return; }
+            if (first) { el.textContent = ""; el.style.fontStyle = "normal"; first = false; }
+            el.textContent += delta;
+            el.parentElement.scrollTop = el.parentElement.scrollHeight;
+        });
+
+        const res = await stream.promise;
+        el.style.fontStyle = "normal";
+        if (res.error) {
+            el.style.color = "#ff6b6b";
+            el.textContent = `Could not get an explanation: ${res.error}`;
+        } else if (res.cancelled && first) {
+            el.textContent = "(cancelled)";
+        }
+        return res;
     }
 
     /* ======= SOLVE ONE QUESTION ======= */
@@ -398,176 +441,1801 @@
         warn(`  Q${qIndex + 1}: Tried ALL ${radios.length} options, none worked.`);
     }
 
-    /* ======= TOP FRAME: Button ======= */
+    /* ======= OVERLAY PANEL ======= */
 
-    if (isTop) {
-        const inject = () => {
-            if (document.getElementById("nerd-auto-solve-btn")) return;
-            const btn = document.createElement("button");
-            btn.id = "nerd-auto-solve-btn";
-            btn.textContent = "Auto-Solve";
-            Object.assign(btn.style, {
-                position: "fixed", bottom: "24px", right: "24px", zIndex: "2147483647",
-                padding: "12px 22px", fontSize: "15px", fontWeight: "700",
-                fontFamily: "system-ui, sans-serif", color: "#fff",
-                background: "linear-gradient(135deg, #e94560, #0f3460)",
-                border: "none", borderRadius: "12px", cursor: "pointer",
-                boxShadow: "0 4px 20px rgba(233,69,96,.5)",
-            });
-            btn.onclick = onButtonClick;
-            document.body.appendChild(btn);
-            log("Button injected.");
-        };
-        if (document.body) inject(); else document.addEventListener("DOMContentLoaded", inject);
+    /**
+     * Create (or reset) a fixed side panel in THIS frame.
+     * Returns the body element to render into.
+     */
+    function showPanel(id, title) {
+        document.getElementById(id)?.remove();
+
+        const panel = document.createElement("div");
+        panel.id = id;
+        Object.assign(panel.style, {
+            position: "fixed", top: "16px", left: "16px", bottom: "16px", width: "380px",
+            zIndex: "2147483647", display: "flex", flexDirection: "column",
+            fontFamily: "system-ui, sans-serif", fontSize: "14px", lineHeight: "1.45",
+            color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+            borderRadius: "12px", boxShadow: "0 8px 32px rgba(0,0,0,.45)",
+        });
 
-        document.addEventListener("keydown", e => {
-            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "s") {
-                e.preventDefault();
-                onButtonClick();
-            }
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            display: "flex", alignItems: "center", justifyContent: "space-between",
+            padding: "12px 16px", borderBottom: "1px solid #0f3460",
+            fontWeight: "700", color: "#e94560",
+        });
+        header.textContent = title;
+
+        const close = document.createElement("button");
+        close.textContent = "\u2715";
+        close.title = "Close";
+        Object.assign(close.style, {
+            border: "none", background: "none", color: "#ccc", fontSize: "16px", cursor: "pointer",
         });
+        close.onclick = () => panel.remove();
+
+        const body = document.createElement("div");
+        Object.assign(body.style, { flex: "1", overflowY: "auto", padding: "12px 16px" });
+
+        const tools = document.createElement("span");
+        tools.append(readAloudButton(() => panelTextBlocks(body)), close);
+        header.appendChild(tools);
+
+        panel.append(header, body);
+        (document.body || document.documentElement).appendChild(panel);
+        return body;
     }
 
-    function onButtonClick() {
+    /** Append a block of plain text (AI output is never parsed as HTML). */
+    function addPanelText(body, text, style = {}) {
+        const div = document.createElement("div");
+        div.textContent = text;
+        Object.assign(div.style, { whiteSpace: "pre-wrap", marginBottom: "10px" }, style);
+        body.appendChild(div);
+        return div;
+    }
+
+    function addPanelButton(body, text, onClick) {
+        const btn = document.createElement("button");
+        btn.textContent = text;
+        Object.assign(btn.style, {
+            display: "block", width: "100%", textAlign: "left", margin: "0 0 6px",
+            padding: "8px 10px", fontSize: "13px", fontFamily: "inherit", color: "#e0e0e0",
+            background: "#1a1a2e", border: "1px solid #0f3460", borderRadius: "8px", cursor: "pointer",
+        });
+        btn.onclick = onClick;
+        body.appendChild(btn);
+        return btn;
+    }
+
+    /* ======= SECTION TEXT ======= */
+
+    /**
+     * Visible reading text (headings, paragraphs, list items) in THIS frame, shadow roots included.
+     * Headings are prefixed Markdown-style ("## ") so the model sees the section structure.
+     */
+    function getSectionText() {
+        const seen = new Set();
+        return deepFind(document, "h1, h2, h3, h4, p, li, blockquote, figcaption")
+            .filter(el => !el.closest?.('[id^="nerd-"]') && el.getClientRects().length > 0)
+            .map(el => {
+                const t = el.textContent.replace(/\s+/g, " ").trim();
+                const level = /^H(\d)$/.exec(el.tagName)?.[1];
+                return (!t || seen.has(t) || !seen.add(t)) ? "" : level ? `${"#".repeat(level)} ${t}` : t;
+            })
+            .filter(Boolean)
+            .join("\n");
+    }
+
+    // Called by background.js through chrome.scripting (isolated world only)
+    globalThis.nerdSectionText = getSectionText;
+
+    /* ======= TUTOR MODE ======= */
+
+    let explaining = false;
+
+    async function explainInThisFrame() {
+        if (explaining) { log("Already explaining."); return; }
+        explaining = true;
+
         try {
-            if (!chrome.runtime?.id) {
-                alert("Extension was updated. Please reload this page (Cmd+R) and try again.");
-                return;
-            }
+            await sleep(500);
+            const radios = findAllRadios();
+            if (radios.length === 0) { log("Tutor: no questions in this frame."); return; }
 
-            const btn = document.getElementById("nerd-auto-solve-btn");
-            if (btn) { btn.textContent = "Solving..."; btn.style.opacity = "0.7"; btn.style.pointerEvents = "none"; }
+            const groups = groupByName(radios);
+            const body = showPanel("nerd-tutor-panel", "Tutor \u2013 Check Your Understanding");
+            const letters = ["A", "B", "C", "D", "E", "F"];
 
-            log("Triggered! Broadcasting to all frames...");
-            chrome.runtime.sendMessage({ type: "triggerSolve" }, () => {
-                if (chrome.runtime.lastError) warn("triggerSolve:", chrome.runtime.lastError.message);
-            });
-            solveInThisFrame();
+            for (let i = 0; i < groups.length; i++) {
+                const labels = groups[i].map(getLabel);
+                const qText = getQuestionText(groups[i]);
 
-        } catch (e) {
-            if (e.message?.includes("Extension context invalidated")) {
-                alert("Extension was reloaded. Please refresh this page (Cmd+R) and try again.");
-            } else {
-                console.error(P, e);
+                addPanelText(body, `Q${i + 1}. ${qText}`, { fontWeight: "600", color: "#fff" });
+                addPanelText(body, labels.map((l, j) => `${letters[j]}. ${l}`).join("\n"), { color: "#aaa" });
+                const out = addPanelText(body, "Thinking...", { fontStyle: "italic" });
+
+                const res = await streamInto(out, { kind: "explain", question: qText, options: labels });
+                if (res.cancelled) break;
+                addPanelText(body, "", { borderTop: "1px solid #0f3460", marginBottom: "12px" });
             }
+        } catch (e) {
+            logError(e);
+        } finally {
+            explaining = false;
         }
     }
 
-    /* ======= MESSAGE LISTENERS ======= */
+    /* ======= PRACTICE QUIZ ======= */
 
-    chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
-        if (msg.type === "startSolving") {
-            solveInThisFrame();
-            return false;
-        }
-        if (msg.type === "navigateNext" && isTop) {
-            navigateNext();
-            return false;
-        }
-        if (msg.type === "dismissModal" && isTop) {
-            log("  TOP frame: dismissModal request received");
-            const result = tryDismissLocal();
-            log(`  TOP frame: dismiss result = ${result || "none"}`);
-            sendResponse({ result: result || "unknown" });
-            return true; // async response
-        }
-        return false;
-    });
+    async function startPractice() {
+        const body = showPanel("nerd-practice-panel", "Practice quiz");
+        const status = addPanelText(body, "Reading this section and writing questions...", { fontStyle: "italic" });
 
-    window.addEventListener("nerd-auto-solver-start", () => {
-        solveInThisFrame();
-    });
+        let questions;
+        try {
+            questions = await MessageBus.request("generatePractice", { count: 5 });
+        } catch (e) {
+            Object.assign(status.style, { fontStyle: "normal", color: "#ff6b6b" });
+            status.textContent = `Could not build a quiz: ${e.message}`;
+            return;
+        }
 
-    /* ======= NAVIGATION ======= */
+        status.remove();
+        const letters = ["A", "B", "C", "D", "E", "F"];
+        const scoreEl = addPanelText(body, "", { fontWeight: "700", color: "#53d769" });
+        let answered = 0, score = 0;
+        const updateScore = () => { scoreEl.textContent = `Score: ${score} / ${answered} (of ${questions.length})`; };
+        updateScore();
+
+        questions.forEach((q, i) => {
+            addPanelText(body, `${i + 1}. ${q.question}`, { fontWeight: "600", color: "#fff" });
+            const buttons = q.options.map((opt, j) => addPanelButton(body, `${letters[j]}. ${opt}`, () => {
+                buttons.forEach(b => { b.disabled = true; b.style.cursor = "default"; });
+                buttons[q.answer].style.borderColor = "#53d769";
+                if (j !== q.answer) buttons[j].style.borderColor = "#ff6b6b";
+                answered++;
+                if (j === q.answer) score++;
+                updateScore();
+                addPanelText(feedback, `${j === q.answer ? "Correct!" : "Not quite."} ${q.explanation || ""}`,
+                    { color: j === q.answer ? "#53d769" : "#ff6b6b" });
+            }));
+            const feedback = document.createElement("div");
+            body.appendChild(feedback);
+            addPanelText(body, "", { borderTop: "1px solid #0f3460", marginBottom: "12px" });
+        });
+    }
 
-    function navigateNext() {
-        log("Looking for Next page link...");
+    /* ======= STUDY NOTES ======= */
 
-        // Try clicking the Next navigation link (in top frame)
-        const next = document.querySelector("a.linear-navigation-button--next")
-            || [...document.querySelectorAll("a")].find(a => /Next\s*:/i.test(a.textContent));
+    async function startNotes() {
+        const chapter = getChapter();
+        const body = showPanel("nerd-notes-panel", `Study notes \u2013 ${chapter}`);
+        const status = addPanelText(body, "Reading this section and writing notes...", { fontStyle: "italic" });
 
-        if (!next) {
-            log("No Next link found on this page.");
+        let notes;
+        try {
+            notes = await MessageBus.request("generateNotes", { book: getBook(), chapter, url: location.href });
+        } catch (e) {
+            Object.assign(status.style, { fontStyle: "normal", color: "#ff6b6b" });
+            status.textContent = `Could not write notes: ${e.message}`;
             return;
         }
 
-        log(`Clicking: "${next.textContent.trim().slice(0, 50)}"`);
+        status.remove();
+        const heading = t => addPanelText(body, t, { fontWeight: "700", color: "#e94560", marginBottom: "4px" });
+        heading("Summary");
+        addPanelText(body, notes.summary);
+        heading("Key terms");
+        addPanelText(body, notes.keyTerms.map(k => `\u2022 ${k.term} \u2013 ${k.definition}`).join("\n"));
+        heading("Likely exam concepts");
+        addPanelText(body, notes.examConcepts.map(c => `\u2022 ${c}`).join("\n"));
+        addPanelText(body, "Saved. Export all notes for this book from the extension Options.", { color: "#999", fontSize: "12px" });
+    }
 
-        // Set flag for auto-continue (in case it does a full reload)
-        chrome.storage.local.set({ autoSolving: true });
+    /* ======= CITATIONS (TOP) ======= */
 
-        // Norton is an SPA — clicking Next updates content without reloading.
-        // So we watch for the iframe to reload, then re-trigger solving.
-        const iframe = document.querySelector("#iframe-content, iframe");
-        const oldSrc = iframe?.src || "";
+    const CITATION_PUBLISHER = "W. W. Norton & Company";
+    const CITATION_HISTORY_MAX = 50;
+    const MLA_MONTHS = ["Jan.", "Feb.", "Mar.", "Apr.", "May", "June", "July", "Aug.", "Sept.", "Oct.", "Nov.", "Dec."];
 
-        next.click();
+    /** Book title from the reader chrome, falling back to the page title's middle part. */
+    function getBookTitle() {
+        const el = document.querySelector('[class*="book-title"], [class*="bookTitle"], [data-testid*="book-title"]');
+        const fromDom = el?.textContent.replace(/\s+/g, " ").trim();
+        if (fromDom) return fromDom;
+        const parts = document.title.split(/\s+[|\u2013]\s+/).filter(p => !/Norton/i.test(p));
+        return parts.length > 1 ? parts[parts.length - 1] : "";
+    }
 
-        // Watch for iframe src change or DOM update (SPA navigation)
-        let resolved = false;
-        const afterNav = () => {
-            if (resolved) return;
-            resolved = true;
-            log("Page changed! Waiting 3s then auto-solving...");
-            running = false;
-            setTimeout(() => {
-                // Broadcast to all frames (including the new iframe content)
-                chrome.runtime.sendMessage({ type: "triggerSolve" }, () => {
-                    if (chrome.runtime.lastError) { /* ok */ }
-                });
-                solveInThisFrame();
-            }, 3000);
-        };
+    /** First visible heading in THIS frame, shadow roots included. */
+    function getSectionHeading() {
+        const h = deepFind(document, "h1, h2, h3")
+            .find(el => !el.closest?.('[id^="nerd-"]') && el.getClientRects().length > 0 && el.textContent.trim());
+        return h ? h.textContent.replace(/\s+/g, " ").trim() : "";
+    }
 
-        // Method 1: Watch iframe src change
-        if (iframe) {
-            const checkSrc = setInterval(() => {
-                if (iframe.src !== oldSrc) {
-                    clearInterval(checkSrc);
-                    log("Iframe src changed!");
-                    afterNav();
-                }
-            }, 500);
-            // Stop checking after 10s
-            setTimeout(() => clearInterval(checkSrc), 10000);
-        }
+    // Called by background.js through chrome.scripting (isolated world only)
+    globalThis.nerdSectionHeading = getSectionHeading;
 
-        // Method 2: Fallback timeout (in case we can't detect the change)
-        setTimeout(() => {
-            if (!resolved) {
-                log("Fallback: 5s timeout reached, re-triggering solver...");
-                afterNav();
+    function ordinal(n) {
+        const v = n % 100;
+        return n + (["th", "st", "nd", "rd"][(v - 20) % 10] || ["th", "st", "nd", "rd"][v] || "th");
+    }
+
+    /** "Ada Lovelace; Alan M. Turing" -> [{ first: "Ada", last: "Lovelace" }, ...] */
+    function parseAuthors(s) {
+        return s.split(/;|\band\b|&/).map(a => a.trim()).filter(Boolean).map(a => {
+            if (a.includes(",")) {
+                const [last, first] = a.split(",").map(x => x.trim());
+                return { first, last };
             }
-        }, 5000);
+            const words = a.split(/\s+/);
+            return { first: words.slice(0, -1).join(" "), last: words[words.length - 1] };
+        });
     }
 
-    function requestNavigateNext() {
-        if (isTop) { navigateNext(); return; }
-        chrome.runtime.sendMessage({ type: "navigateNext" });
-        try { window.parent.postMessage({ type: "nerd-auto-solver-navigate" }, "*"); } catch (_) { }
+    const initials = first => first.split(/[\s-]+/).filter(Boolean).map(w => `${w[0].toUpperCase()}.`).join(" ");
+
+    function apaAuthors(authors) {
+        const names = authors.map(a => a.first ? `${a.last}, ${initials(a.first)}` : a.last);
+        if (names.length <= 1) return names[0] || "";
+        return `${names.slice(0, -1).join(", ")}, & ${names[names.length - 1]}`;
     }
 
-    if (isTop) {
-        window.addEventListener("message", e => {
-            if (e.data?.type === "nerd-auto-solver-navigate") navigateNext();
-        });
+    /** MLA and Chicago: first author inverted, the rest in normal order. */
+    function invertedAuthors(authors, max) {
+        const names = authors.map((a, i) => i === 0 && a.first ? `${a.last}, ${a.first}` : `${a.first} ${a.last}`.trim());
+        if (names.length > max) return `${names[0]}, et al.`;
+        if (names.length <= 2) return names.join(", and ");
+        return `${names.slice(0, -1).join(", ")}, and ${names[names.length - 1]}`;
     }
 
-    /* ======= MAIN ENTRY ======= */
+    const endDot = s => /[.?!]$/.test(s) ? s : `${s}.`;
 
-    let running = false;
+    /**
+     * Citations as [text, italic] segments, so they copy as rich text (italic titles)
+     * and as plain text. info = { title, authors, year, edition, chapter, section, url }
+     */
+    function buildCitations(info) {
+        const authors = parseAuthors(info.authors || "");
+        const ed = parseInt(info.edition, 10) > 1 ? `${ordinal(parseInt(info.edition, 10))} ed.` : "";
+        const year = info.year || "n.d.";
+        const part = info.section && info.section !== info.chapter ? `${info.chapter}: ${info.section}` : info.chapter;
+        const now = new Date();
+        const accessed = `${now.getDate()} ${MLA_MONTHS[now.getMonth()]} ${now.getFullYear()}`;
+
+        return {
+            APA: [
+                [`${authors.length ? `${endDot(apaAuthors(authors))} ` : ""}(${year}). `],
+                [info.title, true],
+                [`${ed ? ` (${ed})` : ""}. ${CITATION_PUBLISHER}. ${info.url}`],
+            ],
+            MLA: [
+                [`${authors.length ? `${endDot(invertedAuthors(authors, 2))} ` : ""}${part ? `\u201C${endDot(part)}\u201D ` : ""}`],
+                [info.title, true],
+                [`, ${ed ? `${ed}, ` : ""}${CITATION_PUBLISHER}, ${year}, ${info.url.replace(/^https?:\/\//, "")}. Accessed ${accessed}.`],
+            ],
+            Chicago: [
+                [`${authors.length ? `${endDot(invertedAuthors(authors, 10))} ` : ""}${part ? `\u201C${endDot(part)}\u201D In ` : ""}`],
+                [info.title, true],
+                [`${ed ? `${part ? "," : "."} ${ed}` : "."} New York: ${CITATION_PUBLISHER}, ${year}. ${info.url}.`],
+            ],
+        };
+    }
 
-    async function solveInThisFrame() {
-        if (running) { log("Already running."); return; }
-        running = true;
+    const citationText = segs => segs.map(([t]) => t).join("");
+    const citationHtml = segs => segs.map(([t, i]) => {
+        const safe = t.replace(/[&<>]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;" }[c]));
+        return i ? `<i>${safe}</i>` : safe;
+    }).join("");
 
+    async function copyCitation(segs) {
+        const text = citationText(segs);
         try {
-            log(`\n======================================`);
-            log(`SOLVING in ${isTop ? "TOP" : "IFRAME"}`);
-            log(`======================================`);
+            await navigator.clipboard.write([new ClipboardItem({
+                "text/plain": new Blob([text], { type: "text/plain" }),
+                "text/html": new Blob([citationHtml(segs)], { type: "text/html" }),
+            })]);
+        } catch (_) {
+            await navigator.clipboard.writeText(text);
+        }
+    }
 
-            await sleep(2000);
+    /**
+     * chrome.storage.local "citationHistory": { [book]: [{ style, text, title, chapter, section, url, at }] }
+     * Newest first, one entry per distinct citation. Shown in Options.
+     */
+    async function saveCitation(book, entry) {
+        const { citationHistory = {} } = await chrome.storage.local.get("citationHistory");
+        const list = (citationHistory[book] || []).filter(c => c.text !== entry.text);
+        citationHistory[book] = [entry, ...list].slice(0, CITATION_HISTORY_MAX);
+        await chrome.storage.local.set({ citationHistory });
+    }
+
+    async function startCitation() {
+        const book = getBook();
+        const body = showPanel("nerd-cite-panel", "Cite this page");
+        const status = addPanelText(body, "Reading the page...", { fontStyle: "italic" });
+
+        // The section heading lives in the #iframe-content frame
+        const headings = await MessageBus.request("pageHeadings").catch(e => {
+            warn("pageHeadings:", e.message);
+            return [];
+        });
+        // Author, year and edition are not in the reader DOM: remembered per book once typed
+        const { citationBooks = {} } = await chrome.storage.local.get("citationBooks");
+        const saved = citationBooks[book] || {};
+        status.remove();
+
+        const info = {
+            title: saved.title || getBookTitle(),
+            authors: saved.authors || "",
+            year: saved.year || "",
+            edition: saved.edition || "",
+            // Reader titles may read "Chapter | Book"
+            chapter: getChapter().split(/\s+\|\s+/)[0],
+            section: headings[0] || getSectionHeading(),
+            url: location.href,
+        };
+
+        const out = document.createElement("div");
+        const field = (key, label, placeholder) => {
+            addPanelText(body, label, { fontSize: "12px", color: "#aaa", marginBottom: "2px" });
+            const input = document.createElement("input");
+            input.value = info[key];
+            input.placeholder = placeholder;
+            Object.assign(input.style, {
+                width: "100%", boxSizing: "border-box", marginBottom: "8px", padding: "6px 8px",
+                fontFamily: "inherit", fontSize: "13px", color: "#e0e0e0", background: "#1a1a2e",
+                border: "1px solid #0f3460", borderRadius: "6px",
+            });
+            input.oninput = () => {
+                info[key] = input.value.trim();
+                render();
+                if (["title", "authors", "year", "edition"].includes(key)) {
+                    citationBooks[book] = { title: info.title, authors: info.authors, year: info.year, edition: info.edition };
+                    chrome.storage.local.set({ citationBooks });
+                }
+            };
+            body.appendChild(input);
+        };
+        field("title", "Book title", "Psychology");
+        field("authors", "Author(s), separated by ;", "Henry Gleitman; James Gross");
+        field("year", "Year", "2024");
+        field("edition", "Edition", "6");
+        field("section", "Section", "");
+        body.appendChild(out);
+
+        function render() {
+            out.textContent = "";
+            for (const [style, segs] of Object.entries(buildCitations(info))) {
+                addPanelText(out, style, { fontWeight: "700", color: "#e94560", marginBottom: "2px" });
+                const cite = addPanelText(out, "");
+                cite.innerHTML = citationHtml(segs);
+                addPanelButton(out, "Copy", async e => {
+                    const btn = e.currentTarget;
+                    await copyCitation(segs);
+                    btn.textContent = "\u2713 Copied";
+                    setTimeout(() => { btn.textContent = "Copy"; }, 1500);
+                    saveCitation(book, {
+                        style, text: citationText(segs), title: info.title,
+                        chapter: info.chapter, section: info.section, url: info.url, at: Date.now(),
+                    });
+                });
+            }
+        }
+        render();
+    }
+
+    /* ======= CHAT PANEL (TOP) ======= */
+
+    const chatHistory = [];
+
+    function buildChatPanel() {
+        const panel = document.createElement("div");
+        panel.id = "nerd-chat-panel";
+        Object.assign(panel.style, {
+            position: "fixed", bottom: "24px", right: "170px", width: "360px", height: "480px",
+            zIndex: "2147483647", display: "none", flexDirection: "column",
+            fontFamily: "system-ui, sans-serif", fontSize: "13px", lineHeight: "1.45",
+            color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+            borderRadius: "12px", boxShadow: "0 8px 32px rgba(0,0,0,.45)",
+        });
+
+        const header = document.createElement("div");
+        Object.assign(header.style, {
+            display: "flex", alignItems: "center", gap: "8px", padding: "10px 14px",
+            borderBottom: "1px solid #0f3460", fontWeight: "700", color: "#e94560",
+        });
+        const title = document.createElement("span");
+        title.textContent = "Study chat";
+        title.style.flex = "1";
+
+        const socratic = document.createElement("label");
+        Object.assign(socratic.style, { fontWeight: "400", fontSize: "12px", color: "#ccc", cursor: "pointer" });
+        const socraticBox = document.createElement("input");
+        socraticBox.type = "checkbox";
+        socraticBox.style.marginRight = "4px";
+        chrome.storage.sync.get("socraticMode", ({ socraticMode }) => { socraticBox.checked = !!socraticMode; });
+        socraticBox.onchange = () => chrome.storage.sync.set({ socraticMode: socraticBox.checked });
+        socratic.append(socraticBox, "Socratic");
+
+        const clear = document.createElement("button");
+        clear.textContent = "New";
+        clear.title = "Start a new conversation";
+        Object.assign(clear.style, { border: "none", background: "none", color: "#ccc", fontSize: "12px", cursor: "pointer" });
+
+        const collapse = document.createElement("button");
+        collapse.textContent = "\u2013";
+        collapse.title = "Collapse";
+        Object.assign(collapse.style, { border: "none", background: "none", color: "#ccc", fontSize: "16px", cursor: "pointer" });
+        collapse.onclick = toggleChat;
+        const speak = readAloudButton(() => [...messages.querySelectorAll('[data-role="assistant"]')].slice(-1));
+        speak.title = "Read the last reply aloud";
+        header.append(title, socratic, clear, speak, collapse);
+
+        const messages = document.createElement("div");
+        Object.assign(messages.style, { flex: "1", overflowY: "auto", padding: "10px 14px" });
+        clear.onclick = () => { chatHistory.length = 0; messages.textContent = ""; };
+
+        const form = document.createElement("form");
+        Object.assign(form.style, { display: "flex", gap: "6px", padding: "10px", borderTop: "1px solid #0f3460" });
+        const input = document.createElement("textarea");
+        input.rows = 2;
+        input.placeholder = "Ask about this page...";
+        Object.assign(input.style, {
+            flex: "1", resize: "none", padding: "6px 8px", fontFamily: "inherit", fontSize: "13px",
+            color: "#fff", background: "#1a1a2e", border: "1px solid #0f3460", borderRadius: "8px",
+        });
+        const send = document.createElement("button");
+        send.type = "submit";
+        send.textContent = "Send";
+        Object.assign(send.style, {
+            padding: "0 14px", border: "none", borderRadius: "8px", background: "#e94560",
+            color: "#fff", fontWeight: "600", cursor: "pointer",
+        });
+        form.append(input, send);
+
+        // Enter sends, Shift+Enter adds a line
+        input.addEventListener("keydown", e => {
+            e.stopPropagation();
+            if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); form.requestSubmit(); }
+        });
+        form.onsubmit = e => {
+            e.preventDefault();
+            const text = input.value.trim();
+            if (!text || send.disabled) return;
+            input.value = "";
+            sendChat(text, messages, send);
+        };
+
+        panel.append(header, messages, form);
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    function addChatBubble(messages, role, text) {
+        const mine = role === "user";
+        const bubble = addPanelText(messages, text, {
+            maxWidth: "85%", padding: "8px 10px", borderRadius: "10px",
+            marginLeft: mine ? "auto" : "0",
+            background: mine ? "#0f3460" : "#1a1a2e",
+        });
+        bubble.dataset.role = role;
+        return bubble;
+    }
+
+    async function sendChat(text, messages, send) {
+        chatHistory.push({ role: "user", content: text });
+        addChatBubble(messages, "user", text);
+        const reply = addChatBubble(messages, "assistant", "...");
+        messages.scrollTop = messages.scrollHeight;
+        send.disabled = true;
+
+        const res = await streamInto(reply, { kind: "chat", history: chatHistory });
+
+        send.disabled = false;
+        if (res.text) chatHistory.push({ role: "assistant", content: res.text });
+        else chatHistory.pop(); // keep user/assistant turns paired
+    }
+
+    function toggleChat() {
+        const panel = document.getElementById("nerd-chat-panel") || buildChatPanel();
+        const open = panel.style.display === "none";
+        panel.style.display = open ? "flex" : "none";
+        if (open) panel.querySelector("textarea").focus();
+    }
+
+    /* ======= GLOSSARY ======= */
+
+    const TERM_SELECTOR = "dfn, strong, b, dt, [class*='key-term'], [class*='keyterm'], [class*='glossary-term']";
+
+    /** The sentence around a term, or the <dd> for a <dt>. */
+    function findDefinition(el, term) {
+        if (el.tagName === "DT") {
+            const dd = el.nextElementSibling;
+            return dd?.tagName === "DD" ? dd.textContent.replace(/\s+/g, " ").trim() : "";
+        }
+        const block = el.closest("p, li, dd, blockquote");
+        const text = block?.textContent.replace(/\s+/g, " ").trim() || "";
+        // Bold text that IS the whole block is a heading, not a defined term
+        if (text.length < term.length + 20) return "";
+        const sentences = text.match(/[^.!?]+[.!?]*/g) || [text];
+        return (sentences.find(x => x.toLowerCase().includes(term.toLowerCase())) || "").trim();
+    }
+
+    // Terms this frame already sent: a new iframe runs from its load timer and the pageChanged broadcast
+    const glossarySent = new Set();
+
+    /**
+     * Send this frame's defined terms to background.js, which merges them into
+     * chrome.storage.local "glossary" (first definition seen wins).
+     */
+    async function indexGlossary() {
+        const found = [];
+        for (const el of deepFind(document, TERM_SELECTOR)) {
+            if (el.closest?.('[id^="nerd-"]')) continue;
+            const term = el.textContent.replace(/\s+/g, " ").trim().replace(/[:.,;]+$/, "");
+            if (term.length < 2 || term.length > 60 || term.split(" ").length > 6) continue;
+            const key = `${location.href}\n${term.toLowerCase()}`;
+            if (glossarySent.has(key)) continue;
+            const definition = findDefinition(el, term);
+            if (!definition) continue;
+            glossarySent.add(key);
+            found.push({ term, definition });
+        }
+        if (found.length === 0) return;
+
+        const book = getBook();
+        try {
+            const added = await MessageBus.request("glossaryTerms",
+                { book, chapter: getChapter(), url: location.href, terms: found });
+            if (added) log(`Glossary: +${added} term(s) in ${book}`);
+        } catch (e) {
+            // Let the next run try these again
+            found.forEach(({ term }) => glossarySent.delete(`${location.href}\n${term.toLowerCase()}`));
+            warn("Glossary:", e.message);
+        }
+    }
+
+    setTimeout(indexGlossary, 3000);
+
+    /* ======= EXPLAIN SELECTION ======= */
+
+    let lastContextMenu = null;
+
+    // Remember where the student right-clicked — the fallback anchor for the card
+    document.addEventListener("contextmenu", e => {
+        lastContextMenu = { x: e.clientX, y: e.clientY, path: e.composedPath() };
+    }, true);
+
+    /**
+     * The live selection range, looking inside open shadow roots too
+     * (document.getSelection() is retargeted to the shadow host in Chrome).
+     * `path` lists the shadow roots to check: the last right-click's by default.
+     */
+    function getDeepSelectionRange(path = lastContextMenu?.path || []) {
+        const candidates = [document.getSelection()];
+        for (const node of path) {
+            if (node instanceof ShadowRoot) candidates.unshift(node.getSelection?.());
+        }
+        for (const sel of candidates) {
+            if (sel && sel.rangeCount > 0 && sel.toString().trim()) return sel.getRangeAt(0);
+        }
+        return null;
+    }
+
+    function showSelectionCard(text) {
+        document.getElementById("nerd-selection-card")?.remove();
+
+        const range = getDeepSelectionRange();
+        const rect = range?.getBoundingClientRect();
+        const anchor = rect && rect.width > 0
+            ? { x: rect.left, y: rect.bottom }
+            : { x: lastContextMenu?.x ?? 16, y: lastContextMenu?.y ?? 16 };
+
+        // Paragraph around the selection gives the model context
+        let block = range?.commonAncestorContainer;
+        if (block?.nodeType === Node.TEXT_NODE) block = block.parentElement;
+        const context = block?.closest?.("p, li, blockquote, section")?.textContent.replace(/\s+/g, " ").trim().slice(0, 1500);
+
+        const card = document.createElement("div");
+        card.id = "nerd-selection-card";
+        const width = 340;
+        Object.assign(card.style, {
+            position: "fixed", zIndex: "2147483647", width: `${width}px`, maxHeight: "60vh", overflowY: "auto",
+            left: `${Math.max(8, Math.min(anchor.x, window.innerWidth - width - 16))}px`,
+            top: `${Math.min(anchor.y + 8, window.innerHeight - 200)}px`,
+            padding: "12px 14px", fontFamily: "system-ui, sans-serif", fontSize: "13px", lineHeight: "1.45",
+            color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+            borderRadius: "12px", boxShadow: "0 8px 32px rgba(0,0,0,.45)",
+        });
+
+        const close = document.createElement("button");
+        close.textContent = "\u2715";
+        Object.assign(close.style, {
+            float: "right", border: "none", background: "none", color: "#ccc", fontSize: "14px", cursor: "pointer",
+        });
+        close.onclick = () => card.remove();
+        const speak = readAloudButton(() => panelTextBlocks(card));
+        speak.style.float = "right";
+        card.append(close, speak);
+
+        addPanelText(card, `\u201c${text.slice(0, 120)}${text.length > 120 ? "\u2026" : ""}\u201d`, { color: "#aaa", fontStyle: "italic" });
+        const status = addPanelText(card, "Thinking...", { fontStyle: "italic" });
+        (document.body || document.documentElement).appendChild(card);
+
+        const onKey = e => { if (e.key === "Escape") { card.remove(); document.removeEventListener("keydown", onKey); } };
+        document.addEventListener("keydown", onKey);
+
+        MessageBus.request("askSelection", { text, context }).then(res => {
+            status.remove();
+            for (const [title, value] of [["Explanation", res.explanation], ["Definition", res.definition], ["Example", res.example]]) {
+                if (!value) continue;
+                addPanelText(card, title, { fontWeight: "700", color: "#e94560", marginBottom: "2px" });
+                addPanelText(card, value);
+            }
+        }, e => {
+            Object.assign(status.style, { fontStyle: "normal", color: "#ff6b6b" });
+            status.textContent = `Could not explain: ${e.message}`;
+        });
+    }
+
+    /* ======= READ ALOUD ======= */
+
+    // Web Speech API, in whichever frame holds the text. Long text is spoken in
+    // sentence-sized utterances (Chrome cuts long ones short); each word boundary moves
+    // a highlight box over the spoken word, so the reader's markup is never changed.
+    const TTS_CHUNK_CHARS = 220;
+    const TTS_RATE_MIN = 0.5;
+    const TTS_RATE_MAX = 2.5;
+    const TTS_RATE_STEP = 0.25;
+    // Holding Ctrl+Shift+. repeats the key; storage.sync only allows a few writes a minute
+    const TTS_RATE_SAVE_MS = 1500;
+    const READ_BLOCK_SELECTOR = "h1, h2, h3, h4, p, li, blockquote, figcaption";
+
+    // { blocks: [{ el, text, nodes }], block, offset, wordStart, rate, voice, paused }
+    let reading = null;
+    // Bumped on every stop / restart so events from cancelled utterances are ignored
+    let readingGen = 0;
+    let rateSaveTimer = null;
+
+    const clampRate = r => Math.min(TTS_RATE_MAX, Math.max(TTS_RATE_MIN, Math.round(r / TTS_RATE_STEP) * TTS_RATE_STEP));
+
+    /** An element's text plus where each of its text nodes starts, to map speech offsets back to the DOM. */
+    function textMap(el) {
+        const nodes = [];
+        let text = "";
+        const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+        for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+            nodes.push({ node: n, start: text.length });
+            text += n.data;
+        }
+        return { el, text, nodes };
+    }
+
+    function rangeIn({ nodes }, start, end) {
+        const at = i => {
+            let k = nodes.length - 1;
+            while (k > 0 && nodes[k].start > i) k--;
+            return [nodes[k].node, Math.min(i - nodes[k].start, nodes[k].node.data.length)];
+        };
+        const range = document.createRange();
+        range.setStart(...at(start));
+        range.setEnd(...at(end));
+        return range;
+    }
+
+    function scrollParent(el) {
+        for (let p = el?.parentElement; p; p = p.parentElement) {
+            if (p.scrollHeight > p.clientHeight && /auto|scroll/.test(getComputedStyle(p).overflowY)) return p;
+        }
+        return null;
+    }
+
+    function highlightWord(block, start, length) {
+        let box = document.getElementById("nerd-tts-word");
+        if (!block.el?.isConnected || !block.nodes.length || !length) { box?.remove(); return; }
+
+        const range = rangeIn(block, start, start + length);
+        const bounds = scrollParent(block.el)?.getBoundingClientRect() || { top: 0, bottom: window.innerHeight };
+        let rect = range.getClientRects()[0];
+        if (rect && (rect.top < bounds.top || rect.bottom > bounds.bottom)) {
+            range.startContainer.parentElement.scrollIntoView({ block: "center" });
+            rect = range.getClientRects()[0];
+        }
+        if (!rect) { box?.remove(); return; }
+
+        if (!box) {
+            box = document.createElement("div");
+            box.id = "nerd-tts-word";
+            Object.assign(box.style, {
+                position: "fixed", zIndex: "2147483647", pointerEvents: "none",
+                background: "rgba(245, 166, 35, .35)", borderRadius: "3px",
+            });
+            (document.body || document.documentElement).appendChild(box);
+        }
+        Object.assign(box.style, {
+            left: `${rect.left - 2}px`, top: `${rect.top - 1}px`,
+            width: `${rect.width + 4}px`, height: `${rect.height + 2}px`,
+        });
+    }
+
+    /** Next piece of text to speak: up to the last sentence end (or space) within TTS_CHUNK_CHARS. */
+    function nextChunk(text, offset) {
+        const rest = text.slice(offset);
+        if (rest.length <= TTS_CHUNK_CHARS) return rest;
+        const head = rest.slice(0, TTS_CHUNK_CHARS);
+        const sentence = /^[\s\S]*[.!?;:]\s/.exec(head)?.[0].length || 0;
+        const space = head.lastIndexOf(" ") + 1;
+        return rest.slice(0, sentence > 40 ? sentence : space > 0 ? space : TTS_CHUNK_CHARS);
+    }
+
+    function speakChunk() {
+        const r = reading;
+        while (r.blocks[r.block] && r.offset >= r.blocks[r.block].text.length) { r.block++; r.offset = 0; }
+        const block = r.blocks[r.block];
+        if (!block) { stopReading(); return; }
+
+        const gen = readingGen;
+        const base = r.offset;
+        const chunk = nextChunk(block.text, base);
+        r.wordStart = base;
+
+        const u = new SpeechSynthesisUtterance(chunk);
+        u.rate = r.rate;
+        if (r.voice) { u.voice = r.voice; u.lang = r.voice.lang; }
+        u.onboundary = e => {
+            if (gen !== readingGen || e.name !== "word") return;
+            r.wordStart = base + e.charIndex;
+            highlightWord(block, r.wordStart, e.charLength || /^\S*/.exec(chunk.slice(e.charIndex))[0].length);
+        };
+        u.onend = () => {
+            if (gen !== readingGen) return;
+            r.offset = base + chunk.length;
+            speakChunk();
+        };
+        u.onerror = e => {
+            if (gen !== readingGen || e.error === "interrupted" || e.error === "canceled") return;
+            warn("Read aloud failed:", e.error);
+            stopReading();
+        };
+        speechSynthesis.speak(u);
+    }
+
+    /** Voices load asynchronously the first time; wait briefly for them. */
+    function speechVoices() {
+        const voices = speechSynthesis.getVoices();
+        if (voices.length) return Promise.resolve(voices);
+        return new Promise(resolve => {
+            speechSynthesis.addEventListener("voiceschanged", () => resolve(speechSynthesis.getVoices()), { once: true });
+            setTimeout(() => resolve(speechSynthesis.getVoices()), 1000);
+        });
+    }
+
+    /**
+     * Read elements (highlighted word by word) or plain strings aloud, in order.
+     * Replaces whatever this frame was reading.
+     */
+    async function readAloud(sources) {
+        stopReading();
+        const blocks = sources
+            .map(s => typeof s === "string" ? { el: null, text: s, nodes: [] } : textMap(s))
+            .filter(b => b.text.trim());
+        if (blocks.length === 0) return;
+        if (!("speechSynthesis" in window)) { alert("This browser has no text-to-speech."); return; }
+
+        const gen = readingGen;
+        const { speechSettings = {} } = await chrome.storage.sync.get("speechSettings");
+        const voices = await speechVoices();
+        if (gen !== readingGen) return; // stopped or replaced while loading
+
+        reading = {
+            blocks, block: 0, offset: 0, wordStart: 0, paused: false,
+            rate: clampRate(speechSettings.rate ?? 1),
+            voice: voices.find(v => v.voiceURI === speechSettings.voice) || null,
+        };
+        log(`Read aloud: ${blocks.length} block(s)`);
+        renderReadingControls();
+        speakChunk();
+    }
+
+    function stopReading() {
+        readingGen++;
+        const wasReading = !!reading;
+        reading = null;
+        // cancel() leaves a paused synth paused, and the next utterance would stay silent
+        if (wasReading) { speechSynthesis.cancel(); speechSynthesis.resume(); }
+        document.getElementById("nerd-tts-word")?.remove();
+        document.getElementById("nerd-tts")?.remove();
+    }
+
+    function togglePauseReading() {
+        if (!reading) return;
+        reading.paused = !reading.paused;
+        if (reading.paused) speechSynthesis.pause(); else speechSynthesis.resume();
+        renderReadingControls();
+    }
+
+    function changeReadingRate(delta) {
+        if (!reading) return;
+        const rate = clampRate(reading.rate + delta);
+        if (rate === reading.rate) return;
+        reading.rate = rate;
+        clearTimeout(rateSaveTimer);
+        rateSaveTimer = setTimeout(() =>
+            chrome.storage.sync.get("speechSettings", ({ speechSettings = {} }) =>
+                chrome.storage.sync.set({ speechSettings: { ...speechSettings, rate } })), TTS_RATE_SAVE_MS);
+
+        // An utterance keeps the rate it started with: restart from the current word
+        readingGen++;
+        speechSynthesis.cancel();
+        speechSynthesis.resume();
+        reading.offset = reading.wordStart;
+        reading.paused = false;
+        renderReadingControls();
+        speakChunk();
+    }
+
+    /** Small player at the bottom of this frame: slower / faster, pause, stop. */
+    function renderReadingControls() {
+        let bar = document.getElementById("nerd-tts");
+        if (!reading) { bar?.remove(); return; }
+        if (!bar) {
+            bar = document.createElement("div");
+            bar.id = "nerd-tts";
+            Object.assign(bar.style, {
+                position: "fixed", bottom: "16px", left: "50%", transform: "translateX(-50%)",
+                zIndex: "2147483647", display: "flex", alignItems: "center", gap: "6px",
+                padding: "6px 10px", fontFamily: "system-ui, sans-serif", fontSize: "13px",
+                color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+                borderRadius: "20px", boxShadow: "0 4px 20px rgba(0,0,0,.45)",
+            });
+            const button = (text, title, onClick) => {
+                const b = document.createElement("button");
+                b.textContent = text;
+                b.title = title;
+                Object.assign(b.style, {
+                    minWidth: "28px", padding: "4px 8px", border: "none", borderRadius: "12px",
+                    background: "#0f3460", color: "#fff", fontSize: "13px", cursor: "pointer",
+                });
+                b.onclick = onClick;
+                return b;
+            };
+            const rate = document.createElement("span");
+            rate.dataset.role = "rate";
+            Object.assign(rate.style, { minWidth: "44px", textAlign: "center" });
+            const pause = button("", "", togglePauseReading);
+            pause.dataset.role = "pause";
+            bar.append(
+                button("−", "Slower (Ctrl/Cmd+Shift+,)", () => changeReadingRate(-TTS_RATE_STEP)),
+                rate,
+                button("+", "Faster (Ctrl/Cmd+Shift+.)", () => changeReadingRate(TTS_RATE_STEP)),
+                pause,
+                button("■", "Stop (Esc)", stopReading),
+            );
+            (document.body || document.documentElement).appendChild(bar);
+        }
+        bar.querySelector('[data-role="rate"]').textContent = `${reading.rate.toFixed(2).replace(/0$/, "")}×`;
+        const pause = bar.querySelector('[data-role="pause"]');
+        pause.textContent = reading.paused ? "▶" : "⏸";
+        pause.title = `${reading.paused ? "Resume" : "Pause"} (Ctrl/Cmd+Shift+Y)`;
+    }
+
+    /** Text blocks of a panel or card, in order (buttons and containers skipped). */
+    function panelTextBlocks(body) {
+        return [...body.querySelectorAll("div")].filter(d => !d.querySelector("div, button") && d.textContent.trim());
+    }
+
+    /** A small speaker button for panel headers. */
+    function readAloudButton(getSources) {
+        const btn = document.createElement("button");
+        btn.textContent = "🔊";
+        btn.title = "Read aloud (Ctrl/Cmd+Shift+Y pauses, Esc stops)";
+        Object.assign(btn.style, {
+            border: "none", background: "none", color: "#ccc", fontSize: "14px", cursor: "pointer",
+        });
+        btn.onclick = () => readAloud(getSources());
+        return btn;
+    }
+
+    /** Reader paragraphs touched by a selection range; falls back to the selected text. */
+    function readSelection(text = "", path) {
+        const range = getDeepSelectionRange(path);
+        let blocks = [];
+        if (range) {
+            const root = range.commonAncestorContainer.getRootNode();
+            blocks = [...root.querySelectorAll(READ_BLOCK_SELECTOR)].filter(el =>
+                range.intersectsNode(el) && !el.querySelector(READ_BLOCK_SELECTOR) && !el.closest('[id^="nerd-"]'));
+        }
+        if (blocks.length) readAloud(blocks);
+        else readAloud([range?.toString() || text]);
+    }
+
+    window.addEventListener("pagehide", stopReading);
+
+    /* ======= TRANSLATE / SIMPLIFY ======= */
+
+    const REWRITE_SELECTOR = "p, li, blockquote, figcaption";
+    const REWRITE_BATCH_CHARS = 4000;
+
+    // Rewritten element -> { nodes, title, background } to put back untouched when switched off
+    const rewritten = new Map();
+    // Mode on in this frame; a failed pass leaves it on so the next start or page change retries
+    let rewriting = false;
+    // The pass in flight, one at a time; a start during it asks for one more pass after it
+    let rewriteRun = null;
+    let rewriteAgain = false;
+    // Bumped by stopRewrite() so a pass started before it drops its late results
+    let rewriteGen = 0;
+
+    const RADIO_SELECTOR = 'input[type="radio"], [role="radio"]';
+
+    /**
+     * Check Your Understanding widgets in this frame. For each radio: the shadow host it
+     * renders in, else the nearest ancestor that also holds the "Select an Answer" prompt
+     * (where getQuestionText() reads it), else its radio group.
+     */
+    function questionWidgets() {
+        const widgets = new Set();
+        for (const radio of deepFind(document, RADIO_SELECTOR)) {
+            let widget = null;
+            for (let node = radio, i = 0; node && node !== document.body && i < 20; node = node.parentElement, i++) {
+                if (/Select an Answer/i.test(node.textContent || "")) { widget = node; break; }
+                if (!node.parentElement && node.getRootNode().host) { widget = node.getRootNode().host; break; }
+            }
+            widgets.add(widget || radio.closest('fieldset, [role="radiogroup"], form') || radio.parentElement || radio);
+        }
+        return [...widgets];
+    }
+
+    /** An answer option's text: the paragraph holds a radio or sits right beside one. */
+    function besideRadio(el) {
+        const isRadio = s => !!s && (s.matches(RADIO_SELECTOR) || (s.matches("label") && !!s.querySelector(RADIO_SELECTOR)));
+        return !!el.querySelector(RADIO_SELECTOR) || isRadio(el.previousElementSibling) || isRadio(el.nextElementSibling);
+    }
+
+    function insideAny(widgets, el) {
+        for (let node = el; node; node = node.getRootNode().host) {
+            if (widgets.some(w => w.contains(node))) return true;
+        }
+        return false;
+    }
+
+    /** Visible reading paragraphs, shadow roots included. Question widgets are left alone. */
+    function rewriteTargets() {
+        // The solver and tutor read question text from the DOM
+        const widgets = questionWidgets();
+        return deepFind(document, REWRITE_SELECTOR).filter(el =>
+            !rewritten.has(el) &&
+            !el.closest?.('[id^="nerd-"]') &&
+            el.getClientRects().length > 0 &&
+            el.textContent.trim().length > 40 &&
+            !el.querySelector(REWRITE_SELECTOR) &&
+            !besideRadio(el) &&
+            !insideAny(widgets, el));
+    }
+
+    function applyRewrite(el, text) {
+        if (!rewriting || !el.isConnected || rewritten.has(el)) return;
+        rewritten.set(el, {
+            nodes: [...el.childNodes],
+            title: el.getAttribute("title"),
+            background: el.style.backgroundColor,
+        });
+        el.title = el.textContent.replace(/\s+/g, " ").trim();
+        el.style.backgroundColor = "rgba(74, 144, 226, .08)";
+        el.replaceChildren(document.createTextNode(text));
+    }
+
+    async function startRewrite() {
+        rewriting = true;
+        if (rewriteRun) { rewriteAgain = true; return; }
+        rewriteAgain = false;
+        rewriteRun = rewritePass(rewriteGen);
+        try {
+            await rewriteRun;
+        } finally {
+            rewriteRun = null;
+            if (rewriteAgain && rewriting) startRewrite();
+        }
+    }
+
+    async function rewritePass(gen) {
+        const targets = rewriteTargets();
+        log(`Rewrite: ${targets.length} paragraph(s) in this frame`);
+
+        // Batches in reading order, so the top of the page changes first
+        let batch = [];
+        let size = 0;
+        const flush = async () => {
+            const els = batch;
+            batch = [];
+            size = 0;
+            const texts = await MessageBus.request("rewriteText",
+                { texts: els.map(el => el.textContent.replace(/\s+/g, " ").trim()) });
+            if (gen !== rewriteGen) return;
+            els.forEach((el, i) => { if (texts[i]) applyRewrite(el, texts[i]); });
+        };
+
+        try {
+            for (const el of targets) {
+                batch.push(el);
+                size += el.textContent.length;
+                if (size >= REWRITE_BATCH_CHARS) await flush();
+                if (gen !== rewriteGen) return;
+            }
+            if (batch.length) await flush();
+        } catch (e) {
+            if (gen !== rewriteGen) return;
+            warn("Rewrite failed:", e.message);
+            if (isTop) alert(`Could not translate / simplify: ${e.message}`);
+        }
+    }
+
+    function stopRewrite() {
+        rewriting = false;
+        rewriteGen++;
+        for (const [el, orig] of rewritten) {
+            el.replaceChildren(...orig.nodes);
+            if (orig.title === null) el.removeAttribute("title");
+            else el.title = orig.title;
+            el.style.backgroundColor = orig.background;
+        }
+        rewritten.clear();
+    }
+
+    /* ======= STUDENT ATTEMPTS ======= */
+
+    // Start of the current "answering" stretch: page load, page change or the last attempt
+    let answeringSince = Date.now();
+
+    function isChecked(radio) {
+        return radio.checked || radio.getAttribute?.("aria-checked") === "true";
+    }
+
+    /** Snapshot the question the student just checked, before the modal changes the DOM. */
+    function captureAttempt(btn) {
+        const radios = findAllRadios();
+        if (radios.length === 0) return null;
+
+        const groups = groupByName(radios).filter(g => g.some(isChecked));
+        const group = groups.find(g => findCheckAnswerBtn(g) === btn) || groups[0];
+        if (!group) return null;
+
+        return {
+            question: getQuestionText(group),
+            options: group.map(getLabel),
+            chosen: group.findIndex(isChecked),
+            url: location.href,
+            chapter: getChapter(),
+            book: getBook(),
+            at: Date.now(),
+        };
+    }
+
+    /** Book id from the reader URL's first path segment (e.g. digital.wwnorton.com/psych6). */
+    function getBook() {
+        let path = location.pathname;
+        try { path = window.top.location.pathname; } catch (_) { }
+        return path.split("/").filter(Boolean)[0] || location.hostname;
+    }
+
+    /** Chapter name from the reader's page title (top frame when reachable). */
+    function getChapter() {
+        let title = "";
+        try { title = window.top.document.title; } catch (_) { title = document.title; }
+        return (title || "").replace(/\s*[|\u2013-]\s*(W\.\s*W\.\s*)?Norton.*$/i, "").trim() || "Untitled";
+    }
+
+    async function watchStudentAttempt(btn) {
+        const attempt = captureAttempt(btn);
+        if (!attempt) return;
+        attempt.confidence = pendingConfidence.get(attempt.question) || null;
+        pendingConfidence.delete(attempt.question);
+        document.getElementById("nerd-confidence")?.remove();
+        log(`Student checked answer ${attempt.chosen + 1} on "${attempt.question.slice(0, 60)}"`);
+
+        // Whatever matches BEFORE the modal opens is page chrome, not feedback
+        const baseline = await readFeedback();
+
+        // Poll until the feedback modal appears (or give up quietly)
+        for (let i = 0; i < 20; i++) {
+            await sleep(400);
+            const result = await readFeedback();
+            if (result && result !== baseline) {
+                attempt.result = result;
+                onStudentAttempt(attempt);
+                return;
+            }
+        }
+        log("Student attempt: no feedback detected.");
+    }
+
+    function onStudentAttempt(attempt) {
+        log(`Student attempt result: ${attempt.result}`);
+        attempt.timeMs = attempt.at - answeringSince;
+        answeringSince = Date.now();
+        updateMistakeLog(attempt);
+        updateQuestionBank(attempt);
+        updateAttemptStats(attempt);
+        updateConfidenceLog(attempt);
+        if (attempt.result === "wrong") {
+            updateWrongAnswers(attempt);
+            explainMistake(attempt);
+        }
+    }
+
+    /* ======= MISTAKE LOG + QUESTION BANK ======= */
+
+    const WRONG_ANSWERS_MAX = 1000;
+
+    /** Small stable string hash (djb2) used as a storage key. */
+    function hashText(text) {
+        let h = 5381;
+        for (let i = 0; i < text.length; i++) h = ((h << 5) + h + text.charCodeAt(i)) | 0;
+        return (h >>> 0).toString(36);
+    }
+
+    /**
+     * chrome.storage.local "mistakeLog": { [id]: entry }
+     * Wrong attempts add the item (or reset its review schedule);
+     * a later correct attempt on a logged item records the right option.
+     */
+    async function updateMistakeLog(attempt) {
+        const id = questionId(attempt);
+        const { mistakeLog = {} } = await chrome.storage.local.get("mistakeLog");
+        const chosenText = attempt.options[attempt.chosen];
+        let entry = mistakeLog[id];
+
+        if (attempt.result === "correct") {
+            if (!entry) return;
+            entry.correct = chosenText;
+        } else {
+            entry = entry || {
+                id,
+                question: attempt.question,
+                options: attempt.options,
+                wrong: [],
+                url: attempt.url,
+                addedAt: attempt.at,
+            };
+            if (!entry.wrong.includes(chosenText)) entry.wrong.push(chosenText);
+            // A fresh mistake is a lapse: review it again from the start
+            entry.sm2 = { reps: 0, interval: 0, ease: entry.sm2?.ease ?? 2.5, due: attempt.at };
+        }
+
+        mistakeLog[id] = entry;
+        await chrome.storage.local.set({ mistakeLog });
+        log(`Mistake log: ${Object.keys(mistakeLog).length} item(s)`);
+    }
+
+    function questionId(attempt) {
+        return hashText(attempt.question.toLowerCase() + "\n" + attempt.options.join("\n"));
+    }
+
+    /**
+     * chrome.storage.local "questionBank": { [id]: entry }
+     * Every question the student has answered themselves, with the right
+     * option once they find it. Used for flashcard export.
+     */
+    async function updateQuestionBank(attempt) {
+        const id = questionId(attempt);
+        const { questionBank = {} } = await chrome.storage.local.get("questionBank");
+        const entry = questionBank[id] || {
+            id,
+            question: attempt.question,
+            options: attempt.options,
+            wrong: [],
+            url: attempt.url,
+            chapter: attempt.chapter,
+        };
+        const chosenText = attempt.options[attempt.chosen];
+
+        if (attempt.result === "correct") entry.correct = chosenText;
+        else if (!entry.wrong.includes(chosenText)) entry.wrong.push(chosenText);
+        entry.updatedAt = attempt.at;
+
+        questionBank[id] = entry;
+        await chrome.storage.local.set({ questionBank });
+    }
+
+    /**
+     * chrome.storage.local "attemptStats": { [id]: { question, chapter, book, url, attempts,
+     *   firstTryCorrect, solved, timeMs, firstAt, lastAt } }. Read by dashboard.html.
+     */
+    async function updateAttemptStats(attempt) {
+        const id = questionId(attempt);
+        const { attemptStats = {} } = await chrome.storage.local.get("attemptStats");
+        const s = attemptStats[id] || {
+            question: attempt.question.slice(0, 200),
+            chapter: attempt.chapter,
+            book: attempt.book,
+            url: attempt.url,
+            attempts: 0,
+            firstTryCorrect: attempt.result === "correct",
+            solved: false,
+            timeMs: 0,
+            firstAt: attempt.at,
+        };
+        // Time on an already solved question is review, not answering
+        if (!s.solved) {
+            s.attempts++;
+            s.timeMs += Math.min(attempt.timeMs, 30 * 60 * 1000);
+        }
+        s.solved = s.solved || attempt.result === "correct";
+        s.lastAt = attempt.at;
+
+        attemptStats[id] = s;
+        await chrome.storage.local.set({ attemptStats });
+    }
+
+    /**
+     * chrome.storage.local "wrongAnswers": [{ id, question, chosen, chapter, book, url, at }]
+     * Each distinct wrong option picked (chosen = its getLabel() text), newest last.
+     * background.js periodically groups them into named misconceptions.
+     */
+    async function updateWrongAnswers(attempt) {
+        const id = questionId(attempt);
+        const chosen = attempt.options[attempt.chosen];
+        const { wrongAnswers = [] } = await chrome.storage.local.get("wrongAnswers");
+        if (wrongAnswers.some(w => w.id === id && w.chosen === chosen)) return;
+        wrongAnswers.push({
+            id,
+            question: attempt.question.slice(0, 500),
+            chosen,
+            chapter: attempt.chapter,
+            book: attempt.book,
+            url: attempt.url,
+            at: attempt.at,
+        });
+        await chrome.storage.local.set({ wrongAnswers: wrongAnswers.slice(-WRONG_ANSWERS_MAX) });
+    }
+
+    async function explainMistake(attempt) {
+        const letters = ["A", "B", "C", "D", "E", "F"];
+        const body = showPanel("nerd-mistake-panel", "Why that answer is wrong");
+
+        addPanelText(body, attempt.question, { fontWeight: "600", color: "#fff" });
+        addPanelText(body, `You chose ${letters[attempt.chosen]}. ${attempt.options[attempt.chosen]}`, { color: "#ff6b6b" });
+        const out = addPanelText(body, "Thinking...", { fontStyle: "italic" });
+
+        await streamInto(out, {
+            kind: "mistake", question: attempt.question, options: attempt.options, chosen: attempt.chosen,
+        });
+    }
+
+    /* ======= CONFIDENCE ======= */
+
+    // Rating given for a question (by question text) and not yet paired with an outcome
+    const pendingConfidence = new Map();
+    const CONFIDENCE_LOG_MAX = 5000;
+
+    /** The radio a click landed on, directly or through its <label>. */
+    function radioFromPath(path) {
+        return path.find(n => n.tagName === "INPUT" && n.type === "radio") ||
+            path.find(n => n.getAttribute?.("role") === "radio") ||
+            path.find(n => n.tagName === "LABEL")?.control || null;
+    }
+
+    /** Small 1–5 prompt shown once the student has picked an option, before Check Answer. */
+    function showConfidencePrompt(group) {
+        if (isQuestionComplete(group)) return;
+        const question = getQuestionText(group);
+        document.getElementById("nerd-confidence")?.remove();
+
+        const box = document.createElement("div");
+        box.id = "nerd-confidence";
+        Object.assign(box.style, {
+            position: "fixed", bottom: "24px", left: "24px", zIndex: "2147483647",
+            padding: "10px 14px", fontFamily: "system-ui, sans-serif", fontSize: "13px",
+            color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+            borderRadius: "12px", boxShadow: "0 8px 32px rgba(0,0,0,.45)",
+        });
+        const label = document.createElement("div");
+        label.textContent = "How sure are you? (1 = guessing, 5 = certain)";
+        Object.assign(label.style, { marginBottom: "6px", color: "#aaa" });
+        box.appendChild(label);
+
+        const buttons = [1, 2, 3, 4, 5].map(n => {
+            const btn = document.createElement("button");
+            btn.textContent = n;
+            Object.assign(btn.style, {
+                width: "34px", height: "30px", marginRight: "6px", fontSize: "14px", fontWeight: "700",
+                fontFamily: "inherit", color: "#e0e0e0", background: "#1a1a2e",
+                border: "1px solid #0f3460", borderRadius: "8px", cursor: "pointer",
+            });
+            btn.onclick = () => {
+                pendingConfidence.set(question, n);
+                buttons.forEach(b => { b.style.background = "#1a1a2e"; });
+                btn.style.background = "#e94560";
+                label.textContent = "Now check your answer.";
+            };
+            if (pendingConfidence.get(question) === n) btn.style.background = "#e94560";
+            box.appendChild(btn);
+            return btn;
+        });
+
+        (document.body || document.documentElement).appendChild(box);
+    }
+
+    /**
+     * chrome.storage.local "confidenceLog": [{ chapter, book, url, confidence, correct, at }]
+     * One entry per rated attempt, newest last. Read by dashboard.html for the calibration report.
+     */
+    async function updateConfidenceLog(attempt) {
+        if (!attempt.confidence) return;
+        const { confidenceLog = [] } = await chrome.storage.local.get("confidenceLog");
+        confidenceLog.push({
+            chapter: attempt.chapter,
+            book: attempt.book,
+            url: attempt.url,
+            confidence: attempt.confidence,
+            correct: attempt.result === "correct",
+            at: attempt.at,
+        });
+        await chrome.storage.local.set({ confidenceLog: confidenceLog.slice(-CONFIDENCE_LOG_MAX) });
+    }
+
+    // Only trusted (real user) clicks — the solver's synthetic clicks are ignored
+    document.addEventListener("click", e => {
+        if (!e.isTrusted || running) return;
+        const path = e.composedPath();
+        if (path.some(n => n.id === "nerd-confidence")) return;
+        const btn = path.find(n => n.tagName === "BUTTON");
+        if (btn && /check\s*answer/i.test(btn.textContent)) {
+            watchStudentAttempt(btn);
+            return;
+        }
+
+        const radio = radioFromPath(path);
+        if (!radio) return;
+        const group = groupByName(findAllRadios()).find(g => g.includes(radio));
+        if (group) showConfidencePrompt(group);
+    }, true);
+
+    /* ======= TOP FRAME: Button ======= */
+
+    if (isTop) {
+        const inject = () => {
+            if (document.getElementById("nerd-auto-solve-btn")) return;
+
+            const bar = document.createElement("div");
+            bar.id = "nerd-toolbar";
+            Object.assign(bar.style, {
+                position: "fixed", bottom: "24px", right: "24px", zIndex: "2147483647",
+                display: "flex", flexDirection: "column", alignItems: "stretch", gap: "8px",
+            });
+            document.body.appendChild(bar);
+
+            addToolbarButton("nerd-explain-btn", "Explain", onExplainClick,
+                "linear-gradient(135deg, #53d769, #0f3460)");
+            addToolbarButton("nerd-practice-btn", "Practice", startPractice,
+                "linear-gradient(135deg, #f5a623, #0f3460)");
+            addToolbarButton("nerd-notes-btn", "Notes", startNotes,
+                "linear-gradient(135deg, #4a90e2, #0f3460)");
+            addToolbarButton("nerd-chat-btn", "Chat", toggleChat,
+                "linear-gradient(135deg, #9b59b6, #0f3460)");
+            addToolbarButton("nerd-rewrite-btn", "Translate", toggleRewrite,
+                "linear-gradient(135deg, #1abc9c, #0f3460)");
+            addToolbarButton("nerd-focus-btn", "Focus", togglePomodoro,
+                "linear-gradient(135deg, #e67e22, #0f3460)");
+            addToolbarButton("nerd-cite-btn", "Cite", startCitation,
+                "linear-gradient(135deg, #7f8c8d, #0f3460)");
+            chrome.storage.sync.get("rewriteSettings", ({ rewriteSettings = {} }) => {
+                const btn = document.getElementById("nerd-rewrite-btn");
+                if (btn && rewriteSettings.mode === "simplify") btn.textContent = "Simplify";
+            });
+            addToolbarButton("nerd-auto-solve-btn", "Auto-Solve", onButtonClick);
+            log("Button injected.");
+        };
+        if (document.body) inject(); else document.addEventListener("DOMContentLoaded", inject);
+
+        document.addEventListener("keydown", e => {
+            if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key.toLowerCase() === "s") {
+                e.preventDefault();
+                onButtonClick();
+            }
+        });
+    }
+
+    // Read aloud keys work in every frame: the reader's selection usually lives in #iframe-content.
+    // Ctrl/Cmd+Shift+Y reads the selection (or pauses / resumes), Ctrl/Cmd+Shift+, / . change speed, Esc stops
+    document.addEventListener("keydown", e => {
+        if (e.key === "Escape" && reading) { stopReading(); return; }
+        if (!(e.ctrlKey || e.metaKey) || !e.shiftKey) return;
+        if (e.code === "KeyY") {
+            e.preventDefault();
+            if (reading) togglePauseReading();
+            else readSelection("", deepFind(document, "*").map(el => el.shadowRoot).filter(Boolean));
+        } else if (reading && (e.code === "Period" || e.code === "Comma")) {
+            e.preventDefault();
+            changeReadingRate(e.code === "Period" ? TTS_RATE_STEP : -TTS_RATE_STEP);
+        }
+    });
+
+    function addToolbarButton(id, text, onClick, background = "linear-gradient(135deg, #e94560, #0f3460)") {
+        const bar = document.getElementById("nerd-toolbar");
+        if (!bar || document.getElementById(id)) return null;
+        const btn = document.createElement("button");
+        btn.id = id;
+        btn.textContent = text;
+        Object.assign(btn.style, {
+            padding: "12px 22px", fontSize: "15px", fontWeight: "700",
+            fontFamily: "system-ui, sans-serif", color: "#fff", background,
+            border: "none", borderRadius: "12px", cursor: "pointer",
+            boxShadow: "0 4px 20px rgba(233,69,96,.5)",
+        });
+        btn.onclick = onClick;
+        // Auto-Solve stays at the bottom; study commands stack above it
+        bar.insertBefore(btn, document.getElementById("nerd-auto-solve-btn"));
+        return btn;
+    }
+
+    /** Toolbar toggle: rewrite every frame's paragraphs, or put the originals back. */
+    function toggleRewrite() {
+        if (!chrome.runtime?.id) {
+            alert("Extension was updated. Please reload this page (Cmd+R) and try again.");
+            return;
+        }
+        const btn = document.getElementById("nerd-rewrite-btn");
+        const on = !rewriting;
+        if (btn) {
+            btn.dataset.label = btn.dataset.label || btn.textContent;
+            btn.textContent = on ? "Original" : btn.dataset.label;
+        }
+        MessageBus.notify("triggerRewrite", { on });
+        if (on) startRewrite(); else stopRewrite();
+    }
+
+    function onExplainClick() {
+        if (!chrome.runtime?.id) {
+            alert("Extension was updated. Please reload this page (Cmd+R) and try again.");
+            return;
+        }
+        log("Tutor mode: broadcasting to all frames...");
+        MessageBus.notify("triggerExplain");
+        explainInThisFrame();
+    }
+
+    function onButtonClick() {
+        try {
+            if (!chrome.runtime?.id) {
+                alert("Extension was updated. Please reload this page (Cmd+R) and try again.");
+                return;
+            }
+
+            const btn = document.getElementById("nerd-auto-solve-btn");
+            if (btn) { btn.textContent = "Solving..."; btn.style.opacity = "0.7"; btn.style.pointerEvents = "none"; }
+
+            log("Triggered! Broadcasting to all frames...");
+            MessageBus.notify("triggerSolve");
+            solveInThisFrame();
+
+        } catch (e) {
+            if (e.message?.includes("Extension context invalidated")) {
+                alert("Extension was reloaded. Please refresh this page (Cmd+R) and try again.");
+            } else {
+                logError(e);
+            }
+        }
+    }
+
+    /* ======= MESSAGE LISTENERS ======= */
+
+    const { handle } = MessageBus;
+
+    handle("startSolving", () => { solveInThisFrame(); });
+    handle("startExplaining", () => { explainInThisFrame(); });
+    handle("startRewrite", () => { startRewrite(); });
+    handle("stopRewrite", () => { stopRewrite(); });
+    handle("explainSelection", ({ text }) => { showSelectionCard(text); });
+    handle("readSelection", ({ text }) => { readSelection(text); });
+
+    handle("pageChanged", () => {
+        cancelStreams();
+        stopReading();
+        answeringSince = Date.now();
+        pendingConfidence.clear();
+        document.getElementById("nerd-confidence")?.remove();
+        // The new page's frames start in the original; rewrite them too once loaded
+        if (isTop && rewriting) setTimeout(() => MessageBus.notify("triggerRewrite", { on: true }), 3000);
+        setTimeout(indexGlossary, 3000);
+    });
+
+    // Relayed from iframes by background.js: only the top frame answers
+    if (isTop) {
+        handle("navigateNext", () => { navigateNext(); });
+        handle("dismissModal", () => {
+            log("  TOP frame: dismissModal request received");
+            const result = tryDismissLocal();
+            log(`  TOP frame: dismiss result = ${result || "none"}`);
+            return result || "unknown";
+        });
+        handle("readFeedback", () => detectFeedback()?.result || null);
+    }
+
+    /* ======= PAGE CHANGE WATCH (TOP) ======= */
+
+    // Norton is an SPA: a new reader page means a new #iframe-content src
+    const pageChangeListeners = new Set();
+
+    /** Call fn(newSrc, oldSrc) on every reader page change. Returns an unsubscribe function. */
+    function onPageChange(fn) {
+        pageChangeListeners.add(fn);
+        return () => pageChangeListeners.delete(fn);
+    }
+
+    if (isTop) {
+        let lastSrc = document.querySelector("#iframe-content, iframe")?.src || "";
+        setInterval(() => {
+            const src = document.querySelector("#iframe-content, iframe")?.src || "";
+            if (src === lastSrc) return;
+            const oldSrc = lastSrc;
+            lastSrc = src;
+            log(`Reader page changed: ${src.slice(0, 100)}`);
+            pageChangeListeners.forEach(fn => fn(src, oldSrc));
+        }, 500);
+
+        // A new page makes pending explanations stale
+        onPageChange(cancelStreams);
+
+        // Let every frame know (glossary indexing etc.)
+        onPageChange(() => MessageBus.notify("pageChanged"));
+    }
+
+    /* ======= STUDY TIME + POMODORO (TOP) ======= */
+
+    const STUDY_TICK_MS = 15000;
+    const POMODORO = { focusMin: 25, breakMin: 5, longBreakMin: 15, longEvery: 4 };
+
+    /** Every reader tab logs time: background.js merges it into "readingLog" one write at a time. */
+    function addReadingTime(page, ms, pomodoros = 0) {
+        MessageBus.request("readingTime", { page, ms, pomodoros }).catch(e => warn("Reading log:", e.message));
+    }
+
+    let pomodoroTimer = null;
+
+    function formatClock(ms) {
+        const s = Math.max(0, Math.ceil(ms / 1000));
+        return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+    }
+
+    /**
+     * chrome.storage.local "pomodoro" = { phase: "focus" | "break" | "ready", endsAt, pausedLeft, done, message }
+     * Kept in storage so a reload keeps the session; every reader tab renders it from there.
+     */
+    function savePomodoro(state) {
+        chrome.storage.local.set({ pomodoro: state });
+    }
+
+    function startFocus(done = 0) {
+        savePomodoro({ phase: "focus", endsAt: Date.now() + POMODORO.focusMin * 60000, pausedLeft: null, done, message: "" });
+    }
+
+    function stopPomodoro() {
+        chrome.storage.local.remove("pomodoro");
+    }
+
+    function togglePomodoro() {
+        if (document.getElementById("nerd-pomodoro")) stopPomodoro();
+        else startFocus();
+    }
+
+    /** Move to the next phase once the current one has run out. */
+    async function advancePomodoro(state) {
+        clearInterval(pomodoroTimer);
+        // Another reader tab may have advanced it already
+        const { pomodoro } = await chrome.storage.local.get("pomodoro");
+        if (pomodoro?.phase !== state.phase || pomodoro.endsAt !== state.endsAt) return;
+
+        if (state.phase === "focus") {
+            const done = state.done + 1;
+            const long = done % POMODORO.longEvery === 0;
+            const min = long ? POMODORO.longBreakMin : POMODORO.breakMin;
+            addReadingTime({}, 0, 1);
+            savePomodoro({
+                phase: "break", endsAt: Date.now() + min * 60000, pausedLeft: null, done,
+                message: `Focus block ${done} done. Take a ${min}-minute break: stand up, look away from the screen.`,
+            });
+        } else {
+            savePomodoro({ ...state, phase: "ready", endsAt: null, message: "Break is over. Ready for the next focus block?" });
+        }
+    }
+
+    function renderPomodoro(state) {
+        clearInterval(pomodoroTimer);
+        let box = document.getElementById("nerd-pomodoro");
+        if (!box) {
+            box = document.createElement("div");
+            box.id = "nerd-pomodoro";
+            Object.assign(box.style, {
+                position: "fixed", top: "16px", right: "16px", zIndex: "2147483647", width: "220px",
+                padding: "10px 12px", fontFamily: "system-ui, sans-serif", fontSize: "13px",
+                color: "#e0e0e0", background: "#16213e", border: "1px solid #0f3460",
+                borderRadius: "12px", boxShadow: "0 8px 32px rgba(0,0,0,.45)",
+            });
+            (document.body || document.documentElement).appendChild(box);
+        }
+        box.textContent = "";
+        box.style.borderColor = state.message ? "#53d769" : "#0f3460";
+
+        const row = document.createElement("div");
+        Object.assign(row.style, { display: "flex", alignItems: "center", gap: "6px" });
+        const clock = document.createElement("span");
+        Object.assign(clock.style, { flex: "1", fontSize: "18px", fontWeight: "700" });
+        row.appendChild(clock);
+
+        const button = (text, title, onClick) => {
+            const b = document.createElement("button");
+            b.textContent = text;
+            b.title = title;
+            Object.assign(b.style, {
+                border: "1px solid #0f3460", background: "#1a1a2e", color: "#e0e0e0",
+                borderRadius: "6px", padding: "2px 8px", cursor: "pointer", fontFamily: "inherit",
+            });
+            b.onclick = onClick;
+            row.appendChild(b);
+        };
+
+        if (state.phase === "ready") {
+            clock.textContent = "\u2615 Break over";
+            button("Start", "Start the next focus block", () => startFocus(state.done));
+        } else if (state.pausedLeft !== null) {
+            clock.textContent = `\u23F8 ${formatClock(state.pausedLeft)}`;
+            button("\u25B6", "Resume", () => savePomodoro({ ...state, endsAt: Date.now() + state.pausedLeft, pausedLeft: null }));
+        } else {
+            const icon = state.phase === "focus" ? "\uD83C\uDF45" : "\u2615";
+            const tick = () => {
+                const left = state.endsAt - Date.now();
+                clock.textContent = `${icon} ${formatClock(left)}`;
+                if (left <= 0) advancePomodoro(state);
+            };
+            button("\u23F8", "Pause", () => savePomodoro({ ...state, pausedLeft: state.endsAt - Date.now(), message: "" }));
+            pomodoroTimer = setInterval(tick, 1000);
+            tick();
+        }
+        button("\u2715", "End session", stopPomodoro);
+        box.appendChild(row);
+
+        const info = document.createElement("div");
+        Object.assign(info.style, { marginTop: "6px", color: state.message ? "#53d769" : "#999" });
+        info.textContent = state.message || (state.pausedLeft !== null ? "Paused"
+            : `${state.phase === "focus" ? "Focus" : "Break"} \u00B7 ${state.done} block(s) done`);
+        box.appendChild(info);
+    }
+
+    if (isTop) {
+        const currentPage = () => ({
+            src: document.querySelector("#iframe-content, iframe")?.src || location.href,
+            chapter: getChapter(),
+            book: getBook(),
+            url: location.href,
+        });
+        let page = currentPage();
+        let pendingMs = 0;
+
+        const flushReadingTime = () => {
+            if (pendingMs === 0) return;
+            addReadingTime(page, pendingMs);
+            pendingMs = 0;
+        };
+
+        // Count only time the reader is visible and focused (focus inside the iframe counts)
+        setInterval(() => {
+            if (document.visibilityState === "visible" && document.hasFocus()) pendingMs += STUDY_TICK_MS;
+            page.chapter = getChapter();
+            if (pendingMs >= 4 * STUDY_TICK_MS) flushReadingTime();
+        }, STUDY_TICK_MS);
+
+        onPageChange(() => {
+            flushReadingTime();
+            page = currentPage();
+        });
+        window.addEventListener("pagehide", flushReadingTime);
+
+        chrome.storage.local.get("pomodoro", ({ pomodoro }) => {
+            if (pomodoro) renderPomodoro(pomodoro);
+        });
+        chrome.storage.onChanged.addListener((changes, area) => {
+            if (area !== "local" || !changes.pomodoro) return;
+            if (changes.pomodoro.newValue) {
+                renderPomodoro(changes.pomodoro.newValue);
+            } else {
+                clearInterval(pomodoroTimer);
+                document.getElementById("nerd-pomodoro")?.remove();
+            }
+        });
+    }
+
+    /* ======= NAVIGATION ======= */
+
+    function navigateNext() {
+        log("Looking for Next page link...");
+
+        // Try clicking the Next navigation link (in top frame)
+        const next = document.querySelector("a.linear-navigation-button--next")
+            || [...document.querySelectorAll("a")].find(a => /Next\s*:/i.test(a.textContent));
+
+        if (!next) {
+            log("No Next link found on this page.");
+            return;
+        }
+
+        log(`Clicking: "${next.textContent.trim().slice(0, 50)}"`);
+
+        // Set flag for auto-continue (in case it does a full reload)
+        chrome.storage.local.set({ autoSolving: true });
+
+        // Norton is an SPA — clicking Next updates content without reloading.
+        // So we watch for the iframe to reload, then re-trigger solving.
+        const iframe = document.querySelector("#iframe-content, iframe");
+        const oldSrc = iframe?.src || "";
+
+        next.click();
+
+        // Watch for iframe src change or DOM update (SPA navigation)
+        let resolved = false;
+        const afterNav = () => {
+            if (resolved) return;
+            resolved = true;
+            log("Page changed! Waiting 3s then auto-solving...");
+            running = false;
+            setTimeout(() => {
+                // Broadcast to all frames (including the new iframe content)
+                MessageBus.notify("triggerSolve");
+                solveInThisFrame();
+            }, 3000);
+        };
+
+        // Method 1: Watch iframe src change
+        if (iframe) {
+            const off = onPageChange(src => {
+                if (src === oldSrc) return;
+                off();
+                log("Iframe src changed!");
+                afterNav();
+            });
+            // Stop checking after 10s
+            setTimeout(off, 10000);
+        }
+
+        // Method 2: Fallback timeout (in case we can't detect the change)
+        setTimeout(() => {
+            if (!resolved) {
+                log("Fallback: 5s timeout reached, re-triggering solver...");
+                afterNav();
+            }
+        }, 5000);
+    }
+
+    function requestNavigateNext() {
+        if (isTop) { navigateNext(); return; }
+        // Both ways at once with one id: the top frame navigates on whichever arrives first
+        const id = MessageBus.newId();
+        MessageBus.notify("navigateNext", {}, { id });
+        MessageBus.postToParent("navigateNext", {}, id);
+    }
+
+    if (isTop) MessageBus.onWindowMessage("navigateNext", () => navigateNext());
+
+    /* ======= MAIN ENTRY ======= */
+
+    let running = false;
+
+    async function solveInThisFrame() {
+        if (running) { log("Already running."); return; }
+        running = true;
+
+        try {
+            log(`\n======================================`);
+            log(`SOLVING in ${isTop ? "TOP" : "IFRAME"}`);
+            log(`======================================`);
+
+            await sleep(2000);
             const radios = findAllRadios();
 
             if (radios.length === 0) {
@@ -592,7 +2260,7 @@
             requestNavigateNext();
 
         } catch (e) {
-            console.error(P, e);
+            logError(e);
         } finally {
             running = false;
             if (isTop) {
@@ -611,9 +2279,7 @@
                 if (btn) { btn.textContent = "Solving..."; btn.style.opacity = "0.7"; btn.style.pointerEvents = "none"; }
                 // Small delay to let page fully render
                 setTimeout(() => {
-                    chrome.runtime.sendMessage({ type: "triggerSolve" }, () => {
-                        if (chrome.runtime.lastError) { /* ok */ }
-                    });
+                    MessageBus.notify("triggerSolve");
                     solveInThisFrame();
                 }, 3000);
             }
@@ -0,0 +1,291 @@
+/*  dashboard.js  –  Progress dashboard from the student's own attempts
+ *
+ *  Reads chrome.storage.local "attemptStats", "confidenceLog" and "wrongAnswers" (written
+ *  by content.js when the student clicks Check Answer themselves) and "misconceptions"
+ *  (grouped by background.js). Nothing here talks to Norton.
+ */
+
+const WEAK_MIN_QUESTIONS = 2;
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function formatMinutes(ms) {
+    const m = Math.round(ms / 60000);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
+
+function percent(n, d) {
+    return d ? `${Math.round((n / d) * 100)}%` : "–";
+}
+
+/** Per-chapter totals: { chapter, questions, firstTry, attempts, timeMs, url } */
+function chapterTotals(stats) {
+    const chapters = {};
+    for (const s of stats) {
+        const c = chapters[s.chapter] = chapters[s.chapter] ||
+            { chapter: s.chapter, questions: 0, firstTry: 0, attempts: 0, timeMs: 0, url: s.url };
+        c.questions++;
+        c.attempts += s.attempts;
+        c.timeMs += s.timeMs;
+        if (s.firstTryCorrect) c.firstTry++;
+    }
+    return Object.values(chapters);
+}
+
+function accuracyColor(ratio) {
+    return ratio >= 0.8 ? "#53d769" : ratio >= 0.5 ? "#f5a623" : "#ff6b6b";
+}
+
+function renderChart(chapters) {
+    const chart = document.getElementById("chapterChart");
+    if (chapters.length === 0) {
+        chart.innerHTML = '<div class="empty">Answer a few Check Your Understanding questions to see your progress.</div>';
+        return;
+    }
+    for (const c of [...chapters].sort((a, b) => a.chapter.localeCompare(b.chapter, undefined, { numeric: true }))) {
+        const ratio = c.firstTry / c.questions;
+        const row = document.createElement("div");
+        row.className = "row";
+
+        const name = document.createElement("div");
+        name.className = "name";
+        name.textContent = c.chapter;
+        name.title = c.chapter;
+
+        const track = document.createElement("div");
+        track.className = "track";
+        const fill = document.createElement("div");
+        fill.className = "fill";
+        fill.style.width = `${Math.max(ratio * 100, 2)}%`;
+        fill.style.background = accuracyColor(ratio);
+        track.appendChild(fill);
+
+        const value = document.createElement("div");
+        value.className = "value";
+        value.textContent = `${percent(c.firstTry, c.questions)} of ${c.questions} · ${formatMinutes(c.timeMs)}`;
+
+        row.append(name, track, value);
+        chart.appendChild(row);
+    }
+}
+
+function renderWeakSpots(chapters, stats) {
+    const list = document.getElementById("weakSpots");
+    const weakChapters = chapters
+        .filter(c => c.questions >= WEAK_MIN_QUESTIONS && c.firstTry / c.questions < 0.7)
+        .sort((a, b) => a.firstTry / a.questions - b.firstTry / b.questions)
+        .slice(0, 5);
+    const hardQuestions = stats
+        .filter(s => s.attempts > 1)
+        .sort((a, b) => b.attempts - a.attempts)
+        .slice(0, 5);
+
+    const addItem = (text, url) => {
+        const li = document.createElement("li");
+        li.textContent = `${text} `;
+        const a = document.createElement("a");
+        a.href = url;
+        a.target = "_blank";
+        a.textContent = "Open in reader";
+        li.appendChild(a);
+        list.appendChild(li);
+    };
+
+    weakChapters.forEach(c => addItem(
+        `${c.chapter}: ${percent(c.firstTry, c.questions)} first-try accuracy, ` +
+        `${(c.attempts / c.questions).toFixed(1)} attempts per question.`, c.url));
+    hardQuestions.forEach(s => addItem(`${s.attempts} attempts: "${s.question.slice(0, 120)}" (${s.chapter})`, s.url));
+
+    if (!list.children.length) list.innerHTML = '<li class="empty">No weak spots yet — keep it up!</li>';
+}
+
+/* ── Confidence calibration ── */
+
+/** Rating 1–5 read as a probability of being right: 1 = 20% … 5 = 100%. */
+function expectedAccuracy(confidence) {
+    return confidence / 5;
+}
+
+/** { ratings, correct: [n per level], total: [n per level], overconfidence } for a set of entries. */
+function calibration(entries) {
+    const total = [0, 0, 0, 0, 0];
+    const correct = [0, 0, 0, 0, 0];
+    let expected = 0;
+    for (const e of entries) {
+        total[e.confidence - 1]++;
+        if (e.correct) correct[e.confidence - 1]++;
+        expected += expectedAccuracy(e.confidence);
+    }
+    const hits = correct.reduce((a, b) => a + b, 0);
+    return {
+        ratings: entries.length,
+        total,
+        correct,
+        sureButWrong: entries.filter(e => e.confidence >= 4 && !e.correct).length,
+        // Positive = more confident than accurate, in percentage points
+        overconfidence: entries.length ? Math.round(((expected - hits) / entries.length) * 100) : 0,
+    };
+}
+
+function svgEl(name, attrs) {
+    const el = document.createElementNS(SVG_NS, name);
+    for (const [k, v] of Object.entries(attrs)) el.setAttribute(k, v);
+    return el;
+}
+
+/** Accuracy at each rating against the ideal diagonal. `small` drops the axis labels. */
+function calibrationSvg(cal, width, height, small = false) {
+    const pad = small ? 4 : 24;
+    const x = level => pad + ((level - 1) / 4) * (width - 2 * pad);
+    const y = ratio => height - pad - ratio * (height - 2 * pad);
+    const svg = svgEl("svg", { width, height, viewBox: `0 0 ${width} ${height}` });
+
+    svg.appendChild(svgEl("line", {
+        x1: x(1), y1: y(0.2), x2: x(5), y2: y(1), stroke: "#555", "stroke-dasharray": "4 3",
+    }));
+    if (!small) {
+        for (let level = 1; level <= 5; level++) {
+            const t = svgEl("text", { x: x(level), y: height - 6, "text-anchor": "middle" });
+            t.textContent = level;
+            svg.appendChild(t);
+        }
+        for (const ratio of [0, 0.5, 1]) {
+            const t = svgEl("text", { x: 2, y: y(ratio) + 3 });
+            t.textContent = `${ratio * 100}%`;
+            svg.appendChild(t);
+        }
+    }
+
+    const points = [];
+    for (let level = 1; level <= 5; level++) {
+        if (cal.total[level - 1]) points.push([x(level), y(cal.correct[level - 1] / cal.total[level - 1])]);
+    }
+    if (points.length > 1) {
+        svg.appendChild(svgEl("polyline", {
+            points: points.map(p => p.join(",")).join(" "), fill: "none", stroke: "#e94560", "stroke-width": 2,
+        }));
+    }
+    for (const [cx, cy] of points) svg.appendChild(svgEl("circle", { cx, cy, r: small ? 2.5 : 4, fill: "#e94560" }));
+    return svg;
+}
+
+function renderCalibration(confidenceLog) {
+    const curve = document.getElementById("calibrationCurve");
+    const table = document.getElementById("calibrationTable");
+    if (confidenceLog.length === 0) {
+        curve.innerHTML = '<div class="empty">Rate how sure you are before checking an answer to see your calibration.</div>';
+        return;
+    }
+    curve.appendChild(calibrationSvg(calibration(confidenceLog), 660, 220));
+
+    const byChapter = {};
+    for (const e of confidenceLog) (byChapter[e.chapter] = byChapter[e.chapter] || []).push(e);
+    const rows = Object.entries(byChapter)
+        .map(([chapter, entries]) => ({ chapter, url: entries[entries.length - 1].url, cal: calibration(entries) }))
+        .sort((a, b) => b.cal.overconfidence - a.cal.overconfidence);
+
+    table.innerHTML = "<tr><th>Chapter</th><th>Curve</th><th>Ratings</th><th>Sure but wrong</th><th>Overconfidence</th></tr>";
+    for (const { chapter, url, cal } of rows) {
+        const tr = document.createElement("tr");
+        const name = document.createElement("td");
+        const a = document.createElement("a");
+        a.href = url;
+        a.target = "_blank";
+        a.textContent = chapter;
+        a.style.color = "#e0e0e0";
+        name.appendChild(a);
+
+        const curveCell = document.createElement("td");
+        curveCell.appendChild(calibrationSvg(cal, 90, 36, true));
+
+        const gap = document.createElement("td");
+        gap.textContent = `${cal.overconfidence > 0 ? "+" : ""}${cal.overconfidence} pts`;
+        gap.style.color = cal.overconfidence > 15 ? "#ff6b6b" : cal.overconfidence < -15 ? "#f5a623" : "#53d769";
+        gap.title = cal.overconfidence > 15 ? "Overconfident: you were surer than your answers"
+            : cal.overconfidence < -15 ? "Underconfident: you knew more than you thought" : "Well calibrated";
+
+        const cells = [cal.ratings, cal.sureButWrong].map(v => {
+            const td = document.createElement("td");
+            td.textContent = v;
+            return td;
+        });
+        tr.append(name, curveCell, ...cells, gap);
+        table.appendChild(tr);
+    }
+}
+
+/* ── Misconceptions ── */
+
+function renderMisconceptions(misconceptions, wrongAnswers) {
+    const list = document.getElementById("misconceptionList");
+    const status = document.getElementById("misconceptionStatus");
+    list.innerHTML = "";
+
+    if (!misconceptions?.groups.length) {
+        list.innerHTML = `<div class="empty">${wrongAnswers.length
+            ? "No misconceptions grouped yet."
+            : "No wrong answers recorded yet."}</div>`;
+    }
+    for (const group of misconceptions?.groups || []) {
+        const box = document.createElement("div");
+        box.className = "misconception";
+        const name = document.createElement("b");
+        name.textContent = `${group.name} (${group.answers.length})`;
+        const desc = document.createElement("p");
+        desc.textContent = group.description;
+
+        const ul = document.createElement("ul");
+        for (const a of group.answers) {
+            const li = document.createElement("li");
+            li.textContent = `"${a.chosen}" for: ${a.question.slice(0, 140)} (${a.chapter}) `;
+            const link = document.createElement("a");
+            link.href = a.url;
+            link.target = "_blank";
+            link.textContent = "Open page";
+            li.appendChild(link);
+            ul.appendChild(li);
+        }
+        box.append(name, desc, ul);
+        list.appendChild(box);
+    }
+
+    if (misconceptions) {
+        // Same marker as background.js: the newest analyzed entry's time, not a count
+        const since = misconceptions.analyzedAt ?? misconceptions.updatedAt;
+        const fresh = wrongAnswers.filter(a => (a.at || 0) > since).length;
+        status.textContent = `Last analyzed ${new Date(misconceptions.updatedAt).toLocaleString()}` +
+            (fresh > 0 ? ` · ${fresh} new wrong answer(s) since` : "");
+    }
+}
+
+document.getElementById("analyzeBtn").addEventListener("click", () => {
+    const btn = document.getElementById("analyzeBtn");
+    const status = document.getElementById("misconceptionStatus");
+    btn.disabled = true;
+    status.textContent = "Asking the model to group your wrong answers...";
+    MessageBus.request("analyzeMisconceptions").then(misconceptions => {
+        chrome.storage.local.get("wrongAnswers", ({ wrongAnswers = [] }) =>
+            renderMisconceptions(misconceptions, wrongAnswers));
+    }, e => {
+        status.textContent = `Error: ${e.message}`;
+    }).finally(() => { btn.disabled = false; });
+});
+
+chrome.storage.local.get(["misconceptions", "wrongAnswers"], ({ misconceptions, wrongAnswers = [] }) =>
+    renderMisconceptions(misconceptions, wrongAnswers));
+
+chrome.storage.local.get("confidenceLog", ({ confidenceLog = [] }) => renderCalibration(confidenceLog));
+
+chrome.storage.local.get("attemptStats", ({ attemptStats = {} }) => {
+    const stats = Object.values(attemptStats);
+    const chapters = chapterTotals(stats);
+
+    const firstTry = stats.filter(s => s.firstTryCorrect).length;
+    const attempts = stats.reduce((n, s) => n + s.attempts, 0);
+    document.getElementById("statQuestions").textContent = stats.length;
+    document.getElementById("statFirstTry").textContent = percent(firstTry, stats.length);
+    document.getElementById("statAttempts").textContent = stats.length ? (attempts / stats.length).toFixed(1) : "–";
+    document.getElementById("statTime").textContent = formatMinutes(stats.reduce((n, s) => n + s.timeMs, 0));
+
+    renderChart(chapters);
+    renderWeakSpots(chapters, stats);
+});
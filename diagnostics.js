@@ -0,0 +1,142 @@
+/*  diagnostics.js  –  Per-frame event log for bug reports
+ *
+ *  Reads chrome.storage.local "diagnosticsLog" (written by background.js from every
+ *  frame's content.js log lines, see logger.js), filters it by frame, level and text,
+ *  and exports what is shown as a redacted JSON bundle. Updates live while open.
+ */
+
+const ROWS_SHOWN = 500;
+const LEVEL_RANK = { info: 0, warn: 1, error: 2 };
+
+let entries = [];
+
+/** Frame ids restart at 0 in every tab, so a frame is its tab and frame id together. */
+const frameKey = e => `${e.tabId}:${e.frameId}`;
+
+function frameLabel({ tabId, frameId, url }) {
+    if (frameId < 0) return "Service worker";
+    let where = "";
+    try {
+        const u = new URL(url);
+        where = ` · ${u.host}${u.pathname}`;
+    } catch (_) { }
+    return `Tab ${tabId} · ${frameId === 0 ? "top frame" : `iframe ${frameId}`}${where}`;
+}
+
+/** One option per tab and frame, labelled with the URL it last logged from. */
+function renderFrameOptions() {
+    const select = document.getElementById("frameFilter");
+    const current = select.value;
+    const frames = new Map();
+    for (const e of entries) frames.set(frameKey(e), e);
+
+    select.textContent = "";
+    select.appendChild(new Option("All frames", ""));
+    [...frames.values()]
+        .sort((a, b) => a.tabId - b.tabId || a.frameId - b.frameId)
+        .forEach(e => select.appendChild(new Option(frameLabel(e), frameKey(e))));
+    select.value = frames.has(current) ? current : "";
+}
+
+function filters() {
+    return {
+        frame: document.getElementById("frameFilter").value,
+        level: document.getElementById("levelFilter").value,
+        search: document.getElementById("searchFilter").value.trim().toLowerCase(),
+    };
+}
+
+function filtered() {
+    const { frame, level, search } = filters();
+    return entries.filter(e =>
+        (frame === "" || frameKey(e) === frame) &&
+        LEVEL_RANK[e.level] >= LEVEL_RANK[level] &&
+        (!search || e.text.toLowerCase().includes(search)));
+}
+
+function formatTime(at) {
+    const d = new Date(at);
+    return `${d.toLocaleDateString()} ${d.toLocaleTimeString()}`;
+}
+
+function renderLog() {
+    const shown = filtered();
+    const table = document.getElementById("logTable");
+    table.textContent = "";
+    document.getElementById("logCount").textContent = shown.length > ROWS_SHOWN
+        ? `${shown.length} of ${entries.length} events match · newest ${ROWS_SHOWN} shown`
+        : `${shown.length} of ${entries.length} events`;
+
+    if (shown.length === 0) {
+        const row = table.insertRow();
+        const cell = row.insertCell();
+        cell.colSpan = 4;
+        cell.className = "empty";
+        cell.textContent = entries.length ? "No events match these filters." : "Nothing logged yet. Open a reader page.";
+        return;
+    }
+
+    for (const e of shown.slice(-ROWS_SHOWN).reverse()) {
+        const row = table.insertRow();
+        row.className = e.level;
+        row.insertCell().textContent = formatTime(e.at);
+        row.insertCell().textContent = e.level;
+        row.insertCell().textContent = e.frameId < 0 ? "worker" : `tab ${e.tabId} · ${e.frameId === 0 ? "top" : `iframe ${e.frameId}`}`;
+        const text = row.insertCell();
+        text.className = "text";
+        text.textContent = e.text;
+        text.title = e.url;
+    }
+}
+
+function render() {
+    renderFrameOptions();
+    renderLog();
+}
+
+function download(filename, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+document.getElementById("exportBtn").addEventListener("click", async () => {
+    const status = document.getElementById("diagStatus");
+    const shown = filtered();
+    if (shown.length === 0) {
+        status.textContent = "Nothing to export with these filters.";
+        return;
+    }
+    const { aiSettings = {} } = await chrome.storage.sync.get("aiSettings");
+    const json = diagnosticsBundle(shown, {
+        version: chrome.runtime.getManifest().version,
+        userAgent: navigator.userAgent,
+        provider: aiSettings.provider || "openai",
+        filters: filters(),
+    });
+    download(`norton-diagnostics-${new Date().toISOString().slice(0, 10)}.json`, json, "application/json");
+    status.textContent = `Exported ${shown.length} event(s). API keys, emails and URL query strings were removed.`;
+});
+
+document.getElementById("clearBtn").addEventListener("click", async () => {
+    if (!confirm("Delete every logged event?")) return;
+    await chrome.storage.local.remove("diagnosticsLog");
+    document.getElementById("diagStatus").textContent = "Log cleared.";
+});
+
+for (const id of ["frameFilter", "levelFilter"]) document.getElementById(id).addEventListener("change", renderLog);
+document.getElementById("searchFilter").addEventListener("input", renderLog);
+
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "local" || !changes.diagnosticsLog) return;
+    entries = changes.diagnosticsLog.newValue || [];
+    render();
+});
+
+chrome.storage.local.get("diagnosticsLog", ({ diagnosticsLog = [] }) => {
+    entries = diagnosticsLog;
+    render();
+});
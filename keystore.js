@@ -0,0 +1,126 @@
+/*  keystore.js  –  API key storage
+ *
+ *  Loaded by background.js (importScripts) and options.html.
+ *  Keys never go to chrome.storage.sync (which copies them to every signed-in browser):
+ *
+ *    chrome.storage.local   "apiKeys" = { [provider]: { plain } | { enc: { salt, iv, data } } }
+ *    chrome.storage.session "unlockedKeys" = { [provider]: key }   (memory only, gone on restart)
+ *
+ *  An encrypted key uses AES-GCM with a PBKDF2-derived key from the student's passphrase
+ *  and must be unlocked once per browser session from the Options page.
+ */
+
+const PBKDF2_ITERATIONS = 250000;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(s) {
+  return Uint8Array.from(atob(s), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+async function encryptSecret(secret, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(secret));
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decryptSecret(enc, passphrase) {
+  const key = await deriveKey(passphrase, fromBase64(enc.salt));
+  try {
+    const data = await crypto.subtle.decrypt({ name: "AES-GCM", iv: fromBase64(enc.iv) }, key, fromBase64(enc.data));
+    return new TextDecoder().decode(data);
+  } catch (_) {
+    throw new Error("Wrong passphrase.");
+  }
+}
+
+/** Move any "<provider>Key" left in chrome.storage.sync into local storage. */
+async function migrateSyncedKeys() {
+  const names = Object.keys(PROVIDERS).map(id => `${id}Key`);
+  const synced = await chrome.storage.sync.get(names);
+  if (Object.keys(synced).length === 0) return;
+
+  const { apiKeys = {} } = await chrome.storage.local.get("apiKeys");
+  for (const id of Object.keys(PROVIDERS)) {
+    const key = synced[`${id}Key`];
+    if (key && !apiKeys[id]) apiKeys[id] = { plain: key };
+  }
+  await chrome.storage.local.set({ apiKeys });
+  await chrome.storage.sync.remove(names);
+  console.log("[Keys] Moved synced API keys to local storage.");
+}
+
+/** "none" | "plain" | "locked" | "unlocked" */
+async function keyStatus(id) {
+  const { apiKeys = {} } = await chrome.storage.local.get("apiKeys");
+  const entry = apiKeys[id];
+  if (!entry) return "none";
+  if (entry.plain) return "plain";
+  const { unlockedKeys = {} } = await chrome.storage.session.get("unlockedKeys");
+  return unlockedKeys[id] ? "unlocked" : "locked";
+}
+
+/** The usable key for a provider, "" if none is stored. Throws if it is locked. */
+async function getApiKey(id) {
+  await migrateSyncedKeys();
+  const { apiKeys = {} } = await chrome.storage.local.get("apiKeys");
+  const entry = apiKeys[id];
+  if (!entry) return "";
+  if (entry.plain) return entry.plain;
+
+  const { unlockedKeys = {} } = await chrome.storage.session.get("unlockedKeys");
+  if (unlockedKeys[id]) return unlockedKeys[id];
+  await promptUnlock();
+  throw new Error("Your API key is locked. Unlock it with your passphrase in extension Options.");
+}
+
+/** Open the Options page once per browser session so the student can unlock. */
+async function promptUnlock() {
+  const { unlockPrompted } = await chrome.storage.session.get("unlockPrompted");
+  if (unlockPrompted || !chrome.runtime.openOptionsPage) return;
+  await chrome.storage.session.set({ unlockPrompted: true });
+  chrome.runtime.openOptionsPage();
+}
+
+async function rememberUnlocked(id, key) {
+  const { unlockedKeys = {} } = await chrome.storage.session.get("unlockedKeys");
+  unlockedKeys[id] = key;
+  await chrome.storage.session.set({ unlockedKeys });
+}
+
+/** Store a key locally; with a passphrase it is encrypted and unlocked for this session. */
+async function saveApiKey(id, key, passphrase = "") {
+  const { apiKeys = {} } = await chrome.storage.local.get("apiKeys");
+  if (!key) {
+    delete apiKeys[id];
+  } else if (passphrase) {
+    apiKeys[id] = { enc: await encryptSecret(key, passphrase) };
+    await rememberUnlocked(id, key);
+  } else {
+    apiKeys[id] = { plain: key };
+  }
+  await chrome.storage.local.set({ apiKeys });
+}
+
+async function unlockApiKey(id, passphrase) {
+  const { apiKeys = {} } = await chrome.storage.local.get("apiKeys");
+  if (!apiKeys[id]?.enc) throw new Error("This key is not encrypted.");
+  const key = await decryptSecret(apiKeys[id].enc, passphrase);
+  await rememberUnlocked(id, key);
+  return key;
+}
@@ -0,0 +1,119 @@
+/*  logger.js  –  Structured per-frame event log for bug reports
+ *
+ *  Loaded by background.js (importScripts) and diagnostics.html.
+ *  content.js batches its log / warn / error lines and sends them as "logEvents";
+ *  the service worker stamps each with the sending tab and frame and keeps the newest
+ *  DIAG_LOG_MAX entries, about DIAG_LOG_BYTES at most (storage.local allows 10 MB in all).
+ *  The whole array is rewritten on each flush, so flushes are DIAG_FLUSH_MS apart:
+ *
+ *    chrome.storage.local "diagnosticsLog" = [{ at, level, tabId, frameId, url, text }]
+ *      level   "info" | "warn" | "error"
+ *      frameId 0 = top frame, > 0 = iframe, -1 = the service worker itself
+ *
+ *  diagnosticsBundle() builds the export: key-, email- and query-string-free.
+ */
+
+const DIAG_LOG_MAX = 3000;
+const DIAG_LOG_BYTES = 1024 * 1024;
+const DIAG_TEXT_MAX = 2000;
+// Under the service worker's 30 s idle limit, so a queued batch is written before it stops
+const DIAG_FLUSH_MS = 15000;
+// Per entry on top of its text and url: field names, level, ids, timestamp
+const DIAG_ENTRY_OVERHEAD = 80;
+const DIAG_LEVELS = ["info", "warn", "error"];
+
+let diagPending = [];
+let diagFlushTimer = null;
+let diagWriting = Promise.resolve();
+
+function diagEntry(level, { tabId = -1, frameId = -1, url = "" }, text, at = Date.now()) {
+  return {
+    at,
+    level: DIAG_LEVELS.includes(level) ? level : "info",
+    tabId,
+    frameId,
+    url: String(url).slice(0, 500),
+    text: String(text).slice(0, DIAG_TEXT_MAX),
+  };
+}
+
+/** The newest entries that fit in DIAG_LOG_MAX and (estimated from string lengths) DIAG_LOG_BYTES. */
+function trimDiagnostics(log) {
+  let bytes = 0;
+  let start = log.length;
+  while (start > 0 && log.length - start < DIAG_LOG_MAX) {
+    const e = log[start - 1];
+    bytes += e.text.length + e.url.length + DIAG_ENTRY_OVERHEAD;
+    if (bytes > DIAG_LOG_BYTES) break;
+    start--;
+  }
+  return log.slice(start);
+}
+
+/** Append entries; storage writes are batched and serialized so frames never overwrite each other. */
+function queueDiagnostics(entries) {
+  diagPending.push(...entries);
+  if (diagFlushTimer) return;
+  diagFlushTimer = setTimeout(() => {
+    diagFlushTimer = null;
+    const batch = diagPending;
+    diagPending = [];
+    diagWriting = diagWriting.then(async () => {
+      const { diagnosticsLog = [] } = await chrome.storage.local.get("diagnosticsLog");
+      await chrome.storage.local.set({ diagnosticsLog: trimDiagnostics(diagnosticsLog.concat(batch)) });
+    }).catch(e => console.warn("[Diag] Log write failed:", e.message));
+  }, DIAG_FLUSH_MS);
+}
+
+/** Events from one content-script frame ({ at, level, text }[]), stamped with its tab and frame. */
+function recordFrameEvents(sender, events) {
+  const where = { tabId: sender.tab?.id, frameId: sender.frameId ?? 0, url: sender.url || sender.tab?.url };
+  queueDiagnostics(events
+    .filter(e => e && typeof e.text === "string")
+    .slice(0, 200)
+    .map(e => diagEntry(e.level, where, e.text, Number.isFinite(e.at) ? e.at : Date.now())));
+}
+
+/** The service worker's own events (frameId -1). */
+function logWorker(level, text) {
+  queueDiagnostics([diagEntry(level, {}, text)]);
+}
+
+/* ── Export ── */
+
+const REDACTIONS = [
+  // Provider keys and auth headers
+  [/\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{12,}/g, "[api-key]"],
+  [/\bBearer\s+[A-Za-z0-9._~+/=-]+/gi, "Bearer [token]"],
+  [/\b(x-api-key|api[_-]?key|token|password|passphrase)(["':=\s]+)[^\s"',;}]+/gi, "$1$2[redacted]"],
+  // Sign-in emails
+  [/[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, "[email]"],
+  // Session ids and tokens ride in query strings and fragments; keep only origin + path
+  [/\b(https?:\/\/[^\s?#"'<>]+)[?#][^\s"'<>]*/gi, "$1?[redacted]"],
+];
+
+function redactText(text) {
+  return REDACTIONS.reduce((s, [pattern, replacement]) => s.replace(pattern, replacement), String(text));
+}
+
+/** Redacted, self-describing JSON for a bug report. `filters` records what the student selected. */
+function diagnosticsBundle(entries, { version = "", userAgent = "", provider = "", filters = {} } = {}) {
+  return JSON.stringify({
+    format: "norton-auto-solver-diagnostics",
+    formatVersion: 1,
+    exportedAt: new Date().toISOString(),
+    extensionVersion: version,
+    userAgent,
+    provider,
+    filters,
+    count: entries.length,
+    entries: entries.map(e => ({
+      at: new Date(e.at).toISOString(),
+      level: e.level,
+      frame: e.frameId < 0 ? "worker" : e.frameId === 0 ? "top" : `iframe ${e.frameId}`,
+      tab: e.tabId,
+      url: redactText(e.url),
+      text: redactText(e.text),
+    })),
+  }, null, 2);
+}
@@ -0,0 +1,254 @@
+/*  message-bus.js  –  Typed messages between the service worker, reader frames and extension pages
+ *
+ *  Loaded by background.js (importScripts), before content.js in every frame, and by dashboard.html.
+ *  Exposes one global, MessageBus. Every message is an envelope { bus: 1, id, type, payload }
+ *  whose payload is checked against MESSAGES below on both ends.
+ *
+ *    request(type, payload, { tabId, frameId, timeoutMs, id })  -> Promise<result>
+ *        rejects with a MessageError, code "invalid" | "timeout" | "unreachable" | "remote"
+ *    notify(type, payload, target)       -> Promise<boolean>   request() that logs instead of rejecting
+ *    broadcast(tabId, type, payload)     -> Promise<[{ frameId, result } | { frameId, error }]>
+ *        runs the handler in every frame of a tab through chrome.scripting (service worker only)
+ *    handle(type, fn)                    fn(payload, sender, envelope) -> result | Promise<result>
+ *    postToParent(type, payload, id) / onWindowMessage(type, fn)
+ *        window.postMessage between reader frames: only to the parent's Norton origin, only
+ *        accepted from a child frame on a Norton origin
+ *    onWarning(fn)                       fn(type, text) for every failure the bus logs
+ *        (timeouts, unreachable frames, failed handlers, rejected origins), for the diagnostics log
+ *
+ *  A request id seen twice in one frame (e.g. the same navigation sent over runtime
+ *  messaging and postMessage) runs its handler once.
+ */
+
+const MessageBus = (() => {
+    "use strict";
+
+    const LOG = "[Bus]";
+    const DEFAULT_TIMEOUT_MS = 10000;
+    const AI_TIMEOUT_MS = 180000;
+    const NORTON_ORIGIN = /^https?:\/\/([a-z0-9-]+\.)*wwnorton\.com$/i;
+    const SEEN_MAX = 200;
+
+    /**
+     * type -> { fields: { name: kind }, timeoutMs }
+     * kind is "string" | "number" | "boolean" | "array" | "object", with "?" when optional.
+     */
+    const MESSAGES = {
+        // Frames -> service worker
+        askAI: { fields: { question: "string", options: "array" }, timeoutMs: AI_TIMEOUT_MS },
+        generatePractice: { fields: { count: "number" }, timeoutMs: AI_TIMEOUT_MS },
+        generateNotes: { fields: { book: "string", chapter: "string", url: "string" }, timeoutMs: AI_TIMEOUT_MS },
+        askSelection: { fields: { text: "string", context: "string" }, timeoutMs: AI_TIMEOUT_MS },
+        rewriteText: { fields: { texts: "array" }, timeoutMs: AI_TIMEOUT_MS },
+        pageHeadings: { fields: {} },
+        glossaryTerms: { fields: { book: "string", chapter: "string", url: "string", terms: "array" } },
+        triggerSolve: { fields: {} },
+        triggerExplain: { fields: {} },
+        triggerRewrite: { fields: { on: "boolean" } },
+        logEvents: { fields: { events: "array" } },
+        readingTime: { fields: { page: "object", ms: "number", pomodoros: "number" } },
+        // Extension pages -> service worker
+        analyzeMisconceptions: { fields: {}, timeoutMs: AI_TIMEOUT_MS },
+        // Either way: frames -> service worker -> frames
+        pageChanged: { fields: {} },
+        navigateNext: { fields: {} },
+        dismissModal: { fields: {}, timeoutMs: 8000 },
+        readFeedback: { fields: {}, timeoutMs: 3000 },
+        // Service worker -> frames
+        startSolving: { fields: {} },
+        startExplaining: { fields: {} },
+        startRewrite: { fields: {} },
+        stopRewrite: { fields: {} },
+        explainSelection: { fields: { text: "string" } },
+        readSelection: { fields: { text: "string" } },
+    };
+
+    class MessageError extends Error {
+        constructor(code, type, message) {
+            super(`${type}: ${message}`);
+            this.name = "MessageError";
+            this.code = code;
+            this.type = type;
+        }
+    }
+
+    let counter = 0;
+    let reportWarning = null;
+
+    /** console.warn, and the diagnostics log when a reporter is set. */
+    function warn(type, text) {
+        console.warn(LOG, text);
+        try { reportWarning?.(type, text); } catch (_) { }
+    }
+
+    function onWarning(fn) {
+        reportWarning = fn;
+    }
+
+    function newId() {
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}-${++counter}`;
+    }
+
+    function kindOf(v) {
+        return Array.isArray(v) ? "array" : v === null ? "null" : typeof v;
+    }
+
+    function validate(type, payload) {
+        const spec = MESSAGES[type];
+        if (!spec) throw new MessageError("invalid", type, "unknown message type");
+        if (kindOf(payload) !== "object") throw new MessageError("invalid", type, "payload must be an object");
+        for (const [name, kind] of Object.entries(spec.fields)) {
+            const optional = kind.endsWith("?");
+            const want = optional ? kind.slice(0, -1) : kind;
+            if (optional && payload[name] === undefined) continue;
+            if (kindOf(payload[name]) !== want) throw new MessageError("invalid", type, `"${name}" must be a ${want}`);
+        }
+    }
+
+    function envelope(type, payload, id = newId()) {
+        validate(type, payload);
+        return { bus: 1, id, type, payload };
+    }
+
+    /* ======= SENDING ======= */
+
+    function request(type, payload = {}, { tabId, frameId, timeoutMs, id } = {}) {
+        let msg;
+        try { msg = envelope(type, payload, id); } catch (e) { return Promise.reject(e); }
+        const limit = timeoutMs ?? MESSAGES[type].timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() =>
+                reject(new MessageError("timeout", type, `no reply within ${limit} ms (id ${msg.id})`)), limit);
+            const reply = res => {
+                clearTimeout(timer);
+                if (chrome.runtime.lastError) reject(new MessageError("unreachable", type, chrome.runtime.lastError.message));
+                else if (!res) reject(new MessageError("unreachable", type, "no handler replied"));
+                else if (res.error) reject(new MessageError("remote", type, res.error));
+                else resolve(res.result);
+            };
+            try {
+                if (tabId !== undefined) chrome.tabs.sendMessage(tabId, msg, frameId !== undefined ? { frameId } : {}, reply);
+                else chrome.runtime.sendMessage(msg, reply);
+            } catch (e) {
+                // "Extension context invalidated" after an update throws synchronously
+                clearTimeout(timer);
+                reject(new MessageError("unreachable", type, e.message));
+            }
+        });
+    }
+
+    /** request() for messages nobody waits on: resolves false and logs why instead of rejecting. */
+    function notify(type, payload = {}, target = {}) {
+        return request(type, payload, target).then(() => true, e => {
+            warn(type, e.message);
+            return false;
+        });
+    }
+
+    /** Service worker: run `type` in every frame of the tab (isolated world) and collect the results. */
+    async function broadcast(tabId, type, payload = {}) {
+        const msg = envelope(type, payload);
+        const results = await chrome.scripting.executeScript({
+            target: { tabId, allFrames: true },
+            func: m => globalThis.nerdBusDispatch ? globalThis.nerdBusDispatch(m) : { unhandled: true },
+            args: [msg],
+        });
+        const failed = results.filter(r => r.result?.error);
+        if (failed.length) {
+            warn(type, `${type}: failed in ${failed.length} of ${results.length} frame(s): ` +
+                failed.map(r => `frame ${r.frameId}: ${r.result.error}`).join("; "));
+        }
+        return results
+            .filter(r => !r.result?.unhandled)
+            .map(r => ({ frameId: r.frameId, ...(r.result || { error: "no result" }) }));
+    }
+
+    /* ======= RECEIVING ======= */
+
+    const handlers = {};
+    const seen = new Set();
+
+    function handle(type, fn) {
+        if (!MESSAGES[type]) throw new MessageError("invalid", type, "unknown message type");
+        handlers[type] = fn;
+    }
+
+    /** True the first time an id is seen in this frame. */
+    function firstSeen(id) {
+        if (seen.has(id)) return false;
+        seen.add(id);
+        if (seen.size > SEEN_MAX) seen.delete(seen.values().next().value);
+        return true;
+    }
+
+    /** Run the handler for an envelope. Resolves { result } | { error } | { unhandled: true }. */
+    async function dispatch(msg, sender = {}) {
+        const fn = handlers[msg?.type];
+        if (msg?.bus !== 1 || !fn) return { unhandled: true };
+        if (!firstSeen(msg.id)) return { result: null };
+        try {
+            validate(msg.type, msg.payload);
+            return { result: await fn(msg.payload, sender, msg) };
+        } catch (e) {
+            warn(msg.type, `${msg.type} handler failed: ${e.message}`);
+            return { error: e.message };
+        }
+    }
+
+    // Called by broadcast() through chrome.scripting (isolated world only)
+    globalThis.nerdBusDispatch = msg => dispatch(msg);
+
+    if (typeof chrome !== "undefined" && chrome.runtime?.onMessage) {
+        chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+            // Not ours to answer: leave it to another frame or extension page
+            if (msg?.bus !== 1 || !handlers[msg.type]) return false;
+            dispatch(msg, sender).then(sendResponse);
+            return true;
+        });
+    }
+
+    /* ======= WINDOW.POSTMESSAGE ======= */
+
+    /** The parent frame's origin if it is a Norton page, else null. Never "*". */
+    function parentOrigin() {
+        let origin = globalThis.location?.ancestorOrigins?.[0];
+        if (!origin && document.referrer) {
+            try { origin = new URL(document.referrer).origin; } catch (_) { }
+        }
+        return origin && NORTON_ORIGIN.test(origin) ? origin : null;
+    }
+
+    function postToParent(type, payload = {}, id = newId()) {
+        if (window.parent === window) return false;
+        const origin = parentOrigin();
+        if (!origin) {
+            warn(type, `${type}: parent frame is not a Norton page, not posting.`);
+            return false;
+        }
+        window.parent.postMessage(envelope(type, payload, id), origin);
+        return true;
+    }
+
+    function isChildFrame(source) {
+        for (let i = 0; i < window.frames.length; i++) if (window.frames[i] === source) return true;
+        return false;
+    }
+
+    function onWindowMessage(type, fn) {
+        window.addEventListener("message", e => {
+            if (e.data?.bus !== 1 || e.data.type !== type) return;
+            if (!NORTON_ORIGIN.test(e.origin) || !isChildFrame(e.source)) {
+                warn(type, `Rejected ${type} from ${e.origin || "unknown origin"}.`);
+                return;
+            }
+            try { validate(type, e.data.payload); } catch (err) {
+                warn(type, err.message);
+                return;
+            }
+            if (firstSeen(e.data.id)) fn(e.data.payload, e);
+        });
+    }
+
+    return { MessageError, newId, request, notify, broadcast, handle, postToParent, onWindowMessage, onWarning };
+})();
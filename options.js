@@ -1,26 +1,588 @@
-/*  options.js  –  Save / load OpenAI API key via chrome.storage.sync  */
+/*  options.js  –  Save / load AI provider settings (chrome.storage.sync) and keys (keystore.js),
+ *                 translate / simplify and read-aloud settings,
+ *                 export the question bank as Anki flashcards or an offline practice test
+ *                 and study notes as Markdown,
+ *                 search the key-term glossary, list copied citations, manage the explanation cache,
+ *                 show the weekly reading log, token usage and set the monthly budget
+ */
 
+const providerSelect = document.getElementById("provider");
 const keyInput = document.getElementById("apiKey");
+const keyLabel = document.getElementById("apiKeyLabel");
+const passphraseInput = document.getElementById("passphrase");
+const unlockBox = document.getElementById("unlockBox");
+const unlockInput = document.getElementById("unlockPassphrase");
+const baseUrlInput = document.getElementById("baseUrl");
+const modelInput = document.getElementById("model");
+const temperatureInput = document.getElementById("temperature");
+const temperatureLabel = document.getElementById("temperatureLabel");
+const socraticInput = document.getElementById("socraticMode");
 const saveBtn = document.getElementById("saveBtn");
 const toast = document.getElementById("toast");
 
-// ── Load saved key on page open ──
-chrome.storage.sync.get("openaiKey", ({ openaiKey }) => {
-    if (openaiKey) keyInput.value = openaiKey;
+function showToast(text, ok = true) {
+    toast.style.color = ok ? "#53d769" : "#ff6b6b";
+    toast.textContent = text;
+    if (ok) setTimeout(() => (toast.textContent = ""), 3000);
+}
+
+// ── Show the selected provider's defaults and stored key ──
+async function showProvider(id) {
+    const p = PROVIDERS[id];
+    keyLabel.textContent = p.needsKey ? `${p.label} API Key` : "API Key (optional)";
+    baseUrlInput.placeholder = p.baseUrl;
+    modelInput.placeholder = p.model;
+    temperatureInput.max = p.maxTemperature;
+    temperatureLabel.textContent = `Temperature (0–${p.maxTemperature})`;
+    passphraseInput.value = "";
+
+    const status = await keyStatus(id);
+    unlockBox.classList.toggle("hidden", status !== "locked");
+    keyInput.value = status === "locked" ? "" : await getApiKey(id);
+    keyInput.placeholder = status === "locked" ? "Encrypted key saved — type a new one to replace it"
+        : p.needsKey ? "sk-..." : "not required for most local servers";
+}
+
+// ── Load saved settings on page open ──
+chrome.storage.sync.get("aiSettings", async ({ aiSettings = {} }) => {
+    await migrateSyncedKeys();
+    providerSelect.value = PROVIDERS[aiSettings.provider] ? aiSettings.provider : "openai";
+    baseUrlInput.value = aiSettings.baseUrl || "";
+    modelInput.value = aiSettings.model || "";
+    temperatureInput.value = aiSettings.temperature ?? "";
+    showProvider(providerSelect.value);
+});
+
+chrome.storage.sync.get("socraticMode", ({ socraticMode }) => {
+    socraticInput.checked = !!socraticMode;
+});
+
+providerSelect.addEventListener("change", () => {
+    // Overrides belong to the previous provider
+    baseUrlInput.value = "";
+    modelInput.value = "";
+    showProvider(providerSelect.value);
 });
 
-// ── Save key on button click ──
-saveBtn.addEventListener("click", () => {
+// ── Unlock an encrypted key for this browser session ──
+document.getElementById("unlockBtn").addEventListener("click", async () => {
+    try {
+        await unlockApiKey(providerSelect.value, unlockInput.value);
+        unlockInput.value = "";
+        await showProvider(providerSelect.value);
+        showToast("✓ Key unlocked until you close the browser.");
+    } catch (e) {
+        showToast(e.message, false);
+    }
+});
+
+// ── Test the key in the form against the chosen provider ──
+document.getElementById("testKeyBtn").addEventListener("click", async () => {
+    const id = providerSelect.value;
+    let apiKey = keyInput.value.trim();
+    try {
+        if (!apiKey) apiKey = await getApiKey(id);
+        if (PROVIDERS[id].needsKey && !apiKey) throw new Error("Enter a key to test.");
+        showToast("Testing...", true);
+        showToast(`✓ ${await testProviderKey({ id, apiKey, baseUrl: baseUrlInput.value.trim() })}`);
+    } catch (e) {
+        showToast(e.message, false);
+    }
+});
+
+// ── Save settings on button click ──
+saveBtn.addEventListener("click", async () => {
+    const id = providerSelect.value;
     const key = keyInput.value.trim();
-    if (!key) {
-        toast.style.color = "#ff6b6b";
-        toast.textContent = "Please enter a valid API key.";
+    const status = await keyStatus(id);
+    // An empty field keeps an encrypted key that is still locked
+    const keepLocked = !key && status === "locked";
+    if (PROVIDERS[id].needsKey && !key && !keepLocked) {
+        showToast("Please enter a valid API key.", false);
+        return;
+    }
+
+    const temperature = temperatureInput.value.trim();
+    const maxTemperature = PROVIDERS[id].maxTemperature;
+    if (temperature && !(Number(temperature) >= 0 && Number(temperature) <= maxTemperature)) {
+        showToast(`${PROVIDERS[id].label} accepts a temperature from 0 to ${maxTemperature}.`, false);
+        return;
+    }
+
+    // The field shows the stored (or unlocked) key: leave it as it is unless it was edited
+    // or a passphrase was typed, so saving a model change never decrypts an encrypted key
+    const passphrase = passphraseInput.value;
+    const unchanged = !keepLocked && !passphrase && status !== "locked" && key === await getApiKey(id);
+    const encrypted = status === "locked" || status === "unlocked";
+    if (!keepLocked && !unchanged && encrypted && key && !passphrase &&
+        !confirm("Your saved key is encrypted. Replace it with this key stored WITHOUT a passphrase?")) {
+        showToast("Not saved. Enter a passphrase to keep the key encrypted.", false);
         return;
     }
 
-    chrome.storage.sync.set({ openaiKey: key }, () => {
+    const aiSettings = {
+        provider: id,
+        baseUrl: baseUrlInput.value.trim(),
+        model: modelInput.value.trim(),
+        temperature,
+    };
+
+    try {
+        if (!keepLocked && !unchanged) await saveApiKey(id, key, passphrase);
+        await chrome.storage.sync.set({ aiSettings, socraticMode: socraticInput.checked });
+        await showProvider(id);
+        showToast("✓ Settings saved successfully!");
+    } catch (e) {
+        showToast(`Could not save: ${e.message}`, false);
+    }
+});
+
+// ── Translate / simplify ──
+const rewriteMode = document.getElementById("rewriteMode");
+const rewriteLanguage = document.getElementById("rewriteLanguage");
+const rewriteLevel = document.getElementById("rewriteLevel");
+
+chrome.storage.sync.get("rewriteSettings", ({ rewriteSettings = {} }) => {
+    rewriteMode.value = rewriteSettings.mode || "translate";
+    rewriteLanguage.value = rewriteSettings.language || "";
+    rewriteLevel.value = rewriteSettings.level || "6th grade";
+});
+
+document.getElementById("saveRewriteBtn").addEventListener("click", () => {
+    const rewriteSettings = {
+        mode: rewriteMode.value,
+        language: rewriteLanguage.value.trim() || "Spanish",
+        level: rewriteLevel.value,
+    };
+    chrome.storage.sync.set({ rewriteSettings }, () => {
+        const toast = document.getElementById("rewriteToast");
+        toast.style.color = "#53d769";
+        toast.textContent = "✓ Saved. Reload the reader to update its button.";
+        setTimeout(() => (toast.textContent = ""), 3000);
+    });
+});
+
+// ── Read aloud ──
+const speechVoice = document.getElementById("speechVoice");
+const speechRate = document.getElementById("speechRate");
+
+/** Voices load asynchronously; fill the list whenever they (re)appear. */
+function fillVoices(selected) {
+    const voices = speechSynthesis.getVoices();
+    if (voices.length === 0) return;
+    speechVoice.length = 1;
+    for (const v of voices) speechVoice.add(new Option(`${v.name} (${v.lang})`, v.voiceURI));
+    speechVoice.value = voices.some(v => v.voiceURI === selected) ? selected : "";
+}
+
+chrome.storage.sync.get("speechSettings", ({ speechSettings = {} }) => {
+    // The reader's −/+ keys step by 0.25 like the options here
+    speechRate.value = String(speechSettings.rate ?? 1);
+    fillVoices(speechSettings.voice);
+    speechSynthesis.addEventListener("voiceschanged", () => fillVoices(speechVoice.value || speechSettings.voice));
+});
+
+document.getElementById("previewSpeechBtn").addEventListener("click", () => {
+    speechSynthesis.cancel();
+    const u = new SpeechSynthesisUtterance("This is how explanations and notes will sound in the reader.");
+    const voice = speechSynthesis.getVoices().find(v => v.voiceURI === speechVoice.value);
+    if (voice) { u.voice = voice; u.lang = voice.lang; }
+    u.rate = parseFloat(speechRate.value);
+    speechSynthesis.speak(u);
+});
+
+document.getElementById("saveSpeechBtn").addEventListener("click", () => {
+    const speechSettings = { voice: speechVoice.value, rate: parseFloat(speechRate.value) };
+    chrome.storage.sync.set({ speechSettings }, () => {
+        const toast = document.getElementById("speechToast");
         toast.style.color = "#53d769";
-        toast.textContent = "✓ Key saved successfully!";
+        toast.textContent = "✓ Saved.";
         setTimeout(() => (toast.textContent = ""), 3000);
     });
 });
+
+// ── Flashcard export ──
+const exportToast = document.getElementById("exportToast");
+
+function download(filename, data, type) {
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+async function exportFlashcards(kind) {
+    const { questionBank = {} } = await chrome.storage.local.get("questionBank");
+    const entries = Object.values(questionBank).sort((a, b) =>
+        (a.chapter || "").localeCompare(b.chapter || "") || a.updatedAt - b.updatedAt);
+
+    if (entries.length === 0) {
+        exportToast.style.color = "#ff6b6b";
+        exportToast.textContent = "No answered questions yet.";
+        return;
+    }
+
+    try {
+        if (kind === "tsv") {
+            download("norton-flashcards.txt", AnkiExport.toTSV(entries), "text/plain");
+        } else if (kind === "quiz") {
+            download("norton-practice-test.html", QuizExport.toHtml(entries), "text/html");
+        } else {
+            download("norton-flashcards.apkg", await AnkiExport.toApkg(entries), "application/octet-stream");
+        }
+        exportToast.style.color = "#53d769";
+        exportToast.textContent = kind === "quiz" ? "✓ Exported the practice test."
+            : `✓ Exported ${entries.length} card(s).`;
+    } catch (e) {
+        exportToast.style.color = "#ff6b6b";
+        exportToast.textContent = `Export failed: ${e.message}`;
+    }
+}
+
+document.getElementById("exportTsvBtn").addEventListener("click", () => exportFlashcards("tsv"));
+document.getElementById("exportApkgBtn").addEventListener("click", () => exportFlashcards("apkg"));
+document.getElementById("exportQuizBtn").addEventListener("click", () => exportFlashcards("quiz"));
+
+// ── Study notes export ──
+const notesBook = document.getElementById("notesBook");
+const notesToast = document.getElementById("notesToast");
+
+chrome.storage.local.get("studyNotes", ({ studyNotes = {} }) => {
+    const books = Object.keys(studyNotes).sort();
+    if (books.length === 0) {
+        notesBook.innerHTML = "<option value=\"\">No notes yet</option>";
+        return;
+    }
+    for (const book of books) {
+        const opt = document.createElement("option");
+        opt.value = book;
+        opt.textContent = `${book} (${Object.keys(studyNotes[book]).length} chapter(s))`;
+        notesBook.appendChild(opt);
+    }
+});
+
+function notesToMarkdown(book, chapters) {
+    const lines = [`# Study notes \u2013 ${book}`, ""];
+    const sorted = Object.entries(chapters).sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }));
+    for (const [chapter, n] of sorted) {
+        lines.push(`## ${chapter}`, "", "### Summary", "", n.summary, "", "### Key terms", "");
+        n.keyTerms.forEach(k => lines.push(`- **${k.term}** \u2013 ${k.definition}`));
+        lines.push("", "### Likely exam concepts", "");
+        n.examConcepts.forEach(c => lines.push(`- ${c}`));
+        lines.push("", `Source: <${n.url}>`, "");
+    }
+    return lines.join("\n");
+}
+
+document.getElementById("exportNotesBtn").addEventListener("click", async () => {
+    const book = notesBook.value;
+    const { studyNotes = {} } = await chrome.storage.local.get("studyNotes");
+    if (!book || !studyNotes[book]) {
+        notesToast.style.color = "#ff6b6b";
+        notesToast.textContent = "No notes to export yet.";
+        return;
+    }
+    download(`${book}-notes.md`, notesToMarkdown(book, studyNotes[book]), "text/markdown");
+    notesToast.style.color = "#53d769";
+    notesToast.textContent = "✓ Notes exported.";
+});
+
+// ── Glossary search ──
+const glossarySearch = document.getElementById("glossarySearch");
+const glossaryList = document.getElementById("glossaryList");
+let glossaryEntries = [];
+
+function renderGlossary() {
+    const q = glossarySearch.value.trim().toLowerCase();
+    const matches = glossaryEntries.filter(e =>
+        !q || e.term.toLowerCase().includes(q) || e.definition.toLowerCase().includes(q));
+
+    glossaryList.textContent = "";
+    if (matches.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "empty";
+        empty.textContent = glossaryEntries.length ? "No matching terms." : "No terms collected yet.";
+        glossaryList.appendChild(empty);
+        return;
+    }
+    for (const e of matches.slice(0, 200)) {
+        const item = document.createElement("div");
+        item.className = "item";
+        const term = document.createElement("b");
+        term.textContent = e.term;
+        const link = document.createElement("a");
+        link.href = e.url;
+        link.target = "_blank";
+        link.textContent = `${e.book} \u00b7 ${e.chapter}`;
+        item.append(term, ` \u2013 ${e.definition} `, link);
+        glossaryList.appendChild(item);
+    }
+}
+
+chrome.storage.local.get("glossary", ({ glossary = {} }) => {
+    glossaryEntries = Object.entries(glossary)
+        .flatMap(([book, terms]) => Object.values(terms).map(t => ({ ...t, book })))
+        .sort((a, b) => a.term.localeCompare(b.term));
+    renderGlossary();
+});
+
+glossarySearch.addEventListener("input", renderGlossary);
+
+// ── Citation history ──
+const citationBook = document.getElementById("citationBook");
+const citationList = document.getElementById("citationList");
+let citationHistory = {};
+
+function renderCitations() {
+    const entries = citationHistory[citationBook.value] || [];
+    citationList.textContent = "";
+    if (entries.length === 0) {
+        const empty = document.createElement("div");
+        empty.className = "empty";
+        empty.textContent = "No citations copied yet.";
+        citationList.appendChild(empty);
+        return;
+    }
+    for (const c of entries) {
+        const item = document.createElement("div");
+        item.className = "item";
+        const style = document.createElement("b");
+        style.textContent = c.style;
+        const copy = document.createElement("a");
+        copy.href = "#";
+        copy.textContent = "Copy";
+        copy.addEventListener("click", async e => {
+            e.preventDefault();
+            await navigator.clipboard.writeText(c.text);
+            copy.textContent = "✓ Copied";
+            setTimeout(() => (copy.textContent = "Copy"), 1500);
+        });
+        item.append(style, ` – ${c.text} `, copy);
+        citationList.appendChild(item);
+    }
+}
+
+chrome.storage.local.get("citationHistory", ({ citationHistory: history = {} }) => {
+    citationHistory = history;
+    const books = Object.keys(history).sort();
+    if (books.length === 0) citationBook.innerHTML = "<option value=\"\">No citations yet</option>";
+    for (const book of books) {
+        const opt = document.createElement("option");
+        opt.value = book;
+        opt.textContent = `${history[book][0]?.title || book} (${history[book].length})`;
+        citationBook.appendChild(opt);
+    }
+    renderCitations();
+});
+
+citationBook.addEventListener("change", renderCitations);
+
+// ── Explanation cache ──
+const cacheStatsEl = document.getElementById("cacheStats");
+const cacheMaxEntries = document.getElementById("cacheMaxEntries");
+const cacheMaxAgeDays = document.getElementById("cacheMaxAgeDays");
+const cacheToast = document.getElementById("cacheToast");
+
+async function showCacheStats() {
+    const { count, bytes } = await cacheStats();
+    cacheStatsEl.textContent = `${count} cached explanation(s), about ${Math.ceil(bytes / 1024)} KB.`;
+}
+
+loadCacheSettings().then(({ maxEntries, maxAgeDays }) => {
+    cacheMaxEntries.value = maxEntries;
+    cacheMaxAgeDays.value = maxAgeDays;
+});
+showCacheStats();
+
+document.getElementById("saveCacheBtn").addEventListener("click", () => {
+    const maxEntries = parseInt(cacheMaxEntries.value, 10);
+    const maxAgeDays = parseInt(cacheMaxAgeDays.value, 10);
+    if (!(maxEntries > 0) || !(maxAgeDays > 0)) {
+        cacheToast.style.color = "#ff6b6b";
+        cacheToast.textContent = "Limits must be positive numbers.";
+        return;
+    }
+    chrome.storage.sync.set({ cacheSettings: { maxEntries, maxAgeDays } }, () => {
+        cacheToast.style.color = "#53d769";
+        cacheToast.textContent = "✓ Cache limits saved.";
+        setTimeout(() => (cacheToast.textContent = ""), 3000);
+    });
+});
+
+document.getElementById("clearCacheBtn").addEventListener("click", async () => {
+    await cacheClear();
+    await showCacheStats();
+    cacheToast.style.color = "#53d769";
+    cacheToast.textContent = "✓ Cache cleared.";
+    setTimeout(() => (cacheToast.textContent = ""), 3000);
+});
+
+// ── Weekly reading log ──
+let readingWeekOffset = 0;
+
+function formatDuration(ms) {
+    const m = Math.round(ms / 60000);
+    return m >= 60 ? `${Math.floor(m / 60)}h ${m % 60}m` : `${m}m`;
+}
+
+/** The seven local days (Monday first) of the week `offset` weeks from this one. */
+function weekDays(offset) {
+    const monday = new Date();
+    monday.setHours(12, 0, 0, 0);
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7) + offset * 7);
+    return Array.from({ length: 7 }, (_, i) => {
+        const d = new Date(monday);
+        d.setDate(monday.getDate() + i);
+        return localDay(d);
+    });
+}
+
+/** Fill a two-column reading table; cell(key) renders the first column. */
+function renderReadingTable(table, heading, totals, cell, limit = Infinity) {
+    table.textContent = "";
+    const rows = Object.entries(totals).sort(([, a], [, b]) => b - a).slice(0, limit);
+    if (rows.length === 0) return;
+    table.insertRow().append(...[heading, "Time"].map(t => {
+        const th = document.createElement("th");
+        th.textContent = t;
+        return th;
+    }));
+    for (const [key, ms] of rows) {
+        const tr = table.insertRow();
+        tr.insertCell().append(cell(key));
+        tr.insertCell().textContent = formatDuration(ms);
+    }
+}
+
+/** Link to a reader page, named by its chapter and the last part of its path. */
+function readingPageLink(src, page = {}) {
+    const a = document.createElement("a");
+    let path = src;
+    try { path = new URL(src).pathname.split("/").filter(Boolean).pop() || src; } catch (_) { }
+    a.textContent = page.chapter ? `${page.chapter} · ${path}` : path;
+    a.href = page.url || src;
+    a.target = "_blank";
+    a.title = src;
+    return a;
+}
+
+async function showReadingLog() {
+    const { readingLog = {} } = await chrome.storage.local.get("readingLog");
+    const days = readingLog.days || {};
+    const pages = readingLog.pages || {};
+    const week = weekDays(readingWeekOffset);
+
+    const total = week.reduce((n, d) => n + (days[d]?.ms || 0), 0);
+    const pomodoros = week.reduce((n, d) => n + (days[d]?.pomodoros || 0), 0);
+    const label = readingWeekOffset === 0 ? "This week" : `Week of ${week[0]}`;
+    document.getElementById("readingSummary").textContent =
+        `${label}: ${formatDuration(total)} reading` +
+        `${pomodoros ? `, ${pomodoros} focus block(s)` : ""} on ${week.filter(d => days[d]?.ms).length} day(s).`;
+    document.getElementById("nextWeekBtn").disabled = readingWeekOffset >= 0;
+
+    const bars = document.getElementById("readingBars");
+    const max = Math.max(...week.map(d => days[d]?.ms || 0), 1);
+    bars.textContent = "";
+    for (const d of week) {
+        const bar = document.createElement("div");
+        bar.style.height = `${((days[d]?.ms || 0) / max) * 100}%`;
+        bar.title = `${d}: ${formatDuration(days[d]?.ms || 0)}`;
+        bars.appendChild(bar);
+    }
+
+    const chapters = {};
+    const weekPages = {};
+    for (const d of week) {
+        for (const [chapter, ms] of Object.entries(days[d]?.chapters || {})) {
+            chapters[chapter] = (chapters[chapter] || 0) + ms;
+        }
+        for (const [src, ms] of Object.entries(days[d]?.pages || {})) {
+            weekPages[src] = (weekPages[src] || 0) + ms;
+        }
+    }
+    renderReadingTable(document.getElementById("readingChapters"), "Chapter", chapters,
+        chapter => chapter);
+    renderReadingTable(document.getElementById("readingPages"), "Page (top 15)", weekPages,
+        src => readingPageLink(src, pages[src]), 15);
+}
+
+document.getElementById("prevWeekBtn").addEventListener("click", () => {
+    readingWeekOffset--;
+    showReadingLog();
+});
+
+document.getElementById("nextWeekBtn").addEventListener("click", () => {
+    readingWeekOffset = Math.min(0, readingWeekOffset + 1);
+    showReadingLog();
+});
+
+showReadingLog();
+
+// ── Usage dashboard + budget ──
+const monthlyBudgetInput = document.getElementById("monthlyBudget");
+const budgetToast = document.getElementById("budgetToast");
+
+function formatUsd(n) {
+    return n < 0.01 && n > 0 ? "<$0.01" : `$${n.toFixed(2)}`;
+}
+
+async function showUsage() {
+    const { usageLog = {} } = await chrome.storage.local.get("usageLog");
+    const { monthlyBudget } = await chrome.storage.sync.get("monthlyBudget");
+    const { days = {}, months = {}, chapters = {} } = usageLog;
+
+    const month = months[localDay().slice(0, 7)];
+    if (month) {
+        const budget = monthlyBudget > 0 ? ` of ${formatUsd(monthlyBudget)} budget` : "";
+        document.getElementById("usageSummary").textContent =
+            `This month: ${month.requests} request(s), ${(month.input + month.output).toLocaleString()} tokens, ` +
+            `about ${formatUsd(month.cost)}${budget}.`;
+    }
+
+    // Last 14 days, oldest first
+    const bars = document.getElementById("usageBars");
+    const last14 = Array.from({ length: 14 }, (_, i) =>
+        localDay(new Date(Date.now() - (13 - i) * 24 * 60 * 60 * 1000)));
+    const max = Math.max(...last14.map(d => days[d]?.cost || 0), 1e-9);
+    bars.textContent = "";
+    for (const d of last14) {
+        const bar = document.createElement("div");
+        bar.style.height = `${((days[d]?.cost || 0) / max) * 100}%`;
+        bar.title = `${d}: ${days[d]?.requests || 0} request(s), ${formatUsd(days[d]?.cost || 0)}`;
+        bars.appendChild(bar);
+    }
+
+    const table = document.getElementById("usageChapters");
+    const rows = Object.entries(chapters).sort(([, a], [, b]) => b.cost - a.cost).slice(0, 10);
+    table.textContent = "";
+    if (rows.length === 0) return;
+    table.insertRow().append(...["Chapter", "Requests", "Tokens", "Cost"].map(t => {
+        const th = document.createElement("th");
+        th.textContent = t;
+        return th;
+    }));
+    for (const [chapter, t] of rows) {
+        const tr = table.insertRow();
+        for (const v of [chapter, t.requests, (t.input + t.output).toLocaleString(), formatUsd(t.cost)]) {
+            tr.insertCell().textContent = v;
+        }
+    }
+}
+
+chrome.storage.sync.get("monthlyBudget", ({ monthlyBudget }) => {
+    if (monthlyBudget > 0) monthlyBudgetInput.value = monthlyBudget;
+});
+showUsage();
+
+document.getElementById("saveBudgetBtn").addEventListener("click", () => {
+    const value = parseFloat(monthlyBudgetInput.value);
+    const monthlyBudget = value > 0 ? value : 0;
+    chrome.storage.sync.set({ monthlyBudget }, () => {
+        budgetToast.style.color = "#53d769";
+        budgetToast.textContent = monthlyBudget ? `✓ Budget set to ${formatUsd(monthlyBudget)} / month.` : "✓ Budget removed.";
+        setTimeout(() => (budgetToast.textContent = ""), 3000);
+        showUsage();
+    });
+});
@@ -0,0 +1,277 @@
+/*  providers.js  –  AI provider layer
+ *
+ *  Loaded by background.js (importScripts) and options.html.
+ *  One chat interface over:
+ *    openai     – api.openai.com Chat Completions
+ *    anthropic  – api.anthropic.com Messages
+ *    local      – any OpenAI-compatible server (Ollama, llama.cpp, LM Studio, a stub)
+ *
+ *  chatCompletion() waits for the whole reply; streamCompletion() yields text
+ *  deltas from the provider's server-sent-events stream. Both check the monthly
+ *  budget first and record token usage afterwards (usage.js).
+ *
+ *  Settings:  chrome.storage.sync "aiSettings" = { provider, baseUrl, model, temperature }
+ *             temperature is clamped to 0..maxTemperature of the provider (Anthropic allows 1)
+ *  Keys:      keystore.js (local only, optionally passphrase-encrypted)
+ */
+
+const PROVIDERS = {
+  openai: {
+    label: "OpenAI",
+    baseUrl: "https://api.openai.com/v1",
+    model: "gpt-4o",
+    maxTemperature: 2,
+    needsKey: true,
+    request: openaiRequest,
+    parse: openaiParse,
+    parseStream: openaiParseStream,
+  },
+  anthropic: {
+    label: "Anthropic",
+    baseUrl: "https://api.anthropic.com/v1",
+    model: "claude-sonnet-4-5",
+    maxTemperature: 1,
+    needsKey: true,
+    request: anthropicRequest,
+    parse: anthropicParse,
+    parseStream: anthropicParseStream,
+  },
+  local: {
+    label: "Local (OpenAI-compatible)",
+    baseUrl: "http://localhost:11434/v1",
+    model: "llama3.1",
+    maxTemperature: 2,
+    needsKey: false,
+    request: openaiRequest,
+    parse: openaiParse,
+    parseStream: openaiParseStream,
+  },
+};
+
+/* ── OpenAI-compatible ── */
+
+function openaiRequest(cfg, messages, { json, stream }) {
+  const headers = { "Content-Type": "application/json" };
+  if (cfg.apiKey) headers.Authorization = `Bearer ${cfg.apiKey}`;
+  return {
+    url: `${cfg.baseUrl}/chat/completions`,
+    init: {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model: cfg.model,
+        messages,
+        ...(cfg.temperature !== undefined && { temperature: cfg.temperature }),
+        ...(json && { response_format: { type: "json_object" } }),
+        ...(stream && { stream: true, stream_options: { include_usage: true } }),
+      }),
+    },
+  };
+}
+
+function openaiParse(data) {
+  return {
+    text: data.choices?.[0]?.message?.content ?? "",
+    usage: {
+      input: data.usage?.prompt_tokens ?? 0,
+      output: data.usage?.completion_tokens ?? 0,
+    },
+  };
+}
+
+/** One "data:" event of a streamed chat completion; the last one carries usage. */
+function openaiParseStream(event) {
+  return {
+    text: event.choices?.[0]?.delta?.content ?? "",
+    usage: event.usage && {
+      input: event.usage.prompt_tokens ?? 0,
+      output: event.usage.completion_tokens ?? 0,
+    },
+  };
+}
+
+/* ── Anthropic Messages ── */
+
+function anthropicHeaders(apiKey) {
+  return {
+    "x-api-key": apiKey,
+    "anthropic-version": "2023-06-01",
+    "anthropic-dangerous-direct-browser-access": "true",
+  };
+}
+
+function anthropicRequest(cfg, messages, { stream }) {
+  // System prompt is a top-level field, not a message
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  return {
+    url: `${cfg.baseUrl}/messages`,
+    init: {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...anthropicHeaders(cfg.apiKey) },
+      body: JSON.stringify({
+        model: cfg.model,
+        max_tokens: 2048,
+        ...(system && { system }),
+        messages: messages.filter(m => m.role !== "system"),
+        ...(cfg.temperature !== undefined && { temperature: cfg.temperature }),
+        ...(stream && { stream: true }),
+      }),
+    },
+  };
+}
+
+function anthropicParse(data) {
+  return {
+    text: (data.content || []).filter(b => b.type === "text").map(b => b.text).join(""),
+    usage: {
+      input: data.usage?.input_tokens ?? 0,
+      output: data.usage?.output_tokens ?? 0,
+    },
+  };
+}
+
+/** Text comes in content_block_delta; input tokens in message_start, output in message_delta. */
+function anthropicParseStream(event) {
+  const usage = event.message?.usage || event.usage;
+  return {
+    text: event.type === "content_block_delta" ? event.delta?.text ?? "" : "",
+    usage: usage && { input: usage.input_tokens ?? 0, output: usage.output_tokens ?? 0 },
+  };
+}
+
+/* ── Config + request ── */
+
+/** Resolve the active provider, its key and overrides. Throws if a required key is missing. */
+async function loadAIConfig() {
+  const { aiSettings = {} } = await chrome.storage.sync.get("aiSettings");
+  const id = PROVIDERS[aiSettings.provider] ? aiSettings.provider : "openai";
+  const provider = PROVIDERS[id];
+
+  const apiKey = await getApiKey(id);
+  if (provider.needsKey && !apiKey) {
+    throw new Error(`No ${provider.label} API key. Set it in extension Options.`);
+  }
+
+  const temperature = parseFloat(aiSettings.temperature);
+  return {
+    id,
+    provider,
+    apiKey,
+    baseUrl: (aiSettings.baseUrl || provider.baseUrl).replace(/\/+$/, ""),
+    model: aiSettings.model || provider.model,
+    // Saved for another provider, or typed past the field's max: out of range is an HTTP 400
+    temperature: Number.isFinite(temperature) ? Math.min(Math.max(temperature, 0), provider.maxTemperature) : undefined,
+  };
+}
+
+/** "provider:model" of the saved settings, without needing the key: part of every cache key. */
+async function activeModelTag() {
+  const { aiSettings = {} } = await chrome.storage.sync.get("aiSettings");
+  const id = PROVIDERS[aiSettings.provider] ? aiSettings.provider : "openai";
+  return `${id}:${aiSettings.model || PROVIDERS[id].model}`;
+}
+
+/**
+ * Send a chat to the configured provider and return the trimmed reply text.
+ * `chapter` tags the token usage for the per-chapter totals.
+ */
+async function chatCompletion(messages, { json = false, chapter } = {}) {
+  const cfg = await loadAIConfig();
+  await checkBudget();
+  console.log(`[AI] ${cfg.provider.label} · ${cfg.model}`);
+
+  const { url, init } = cfg.provider.request(cfg, messages, { json });
+  const res = await fetch(url, init);
+  if (!res.ok) throw new Error(`${cfg.provider.label} ${res.status}: ${await res.text()}`);
+
+  const { text, usage } = cfg.provider.parse(await res.json());
+  await recordUsage(cfg, usage, chapter);
+  return text.trim();
+}
+
+/**
+ * Validate a key (and base URL) by listing the provider's models.
+ * Resolves with a short success message or throws a readable error.
+ */
+async function testProviderKey({ id, apiKey, baseUrl }) {
+  const provider = PROVIDERS[id];
+  const base = (baseUrl || provider.baseUrl).replace(/\/+$/, "");
+  const headers = id === "anthropic" ? anthropicHeaders(apiKey)
+    : apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+
+  let res;
+  try {
+    res = await fetch(`${base}/models`, { headers });
+  } catch (_) {
+    throw new Error(`Could not reach ${base}. Check the base URL` +
+      (id === "local" ? " and that the local server is running." : " and your connection."));
+  }
+  if (res.status === 401) throw new Error("Key rejected (401): it is invalid or has been revoked.");
+  if (res.status === 403) throw new Error("Key not allowed (403): it has no access to this API.");
+  if (res.status === 429) throw new Error("Rate limited or out of credit (429): check your billing.");
+  if (!res.ok) throw new Error(`${provider.label} ${res.status}: ${(await res.text()).slice(0, 200)}`);
+
+  const data = await res.json().catch(() => ({}));
+  const count = (data.data || data.models || []).length;
+  return `${provider.label} accepted the key${count ? ` (${count} models available)` : ""}.`;
+}
+
+/** Pull the first JSON object out of a reply (providers without a JSON mode may wrap it). */
+function parseJsonReply(raw) {
+  const start = raw.indexOf("{");
+  const end = raw.lastIndexOf("}");
+  if (start < 0 || end < start) throw new Error("The model did not return JSON.");
+  return JSON.parse(raw.slice(start, end + 1));
+}
+
+/**
+ * Stream a chat from the configured provider. Calls onDelta(text) for every
+ * chunk and resolves with the full reply. Abort through `signal`.
+ */
+async function streamCompletion(messages, onDelta, signal, { chapter } = {}) {
+  const cfg = await loadAIConfig();
+  await checkBudget();
+  console.log(`[AI] ${cfg.provider.label} · ${cfg.model} (stream)`);
+
+  const { url, init } = cfg.provider.request(cfg, messages, { stream: true });
+  const res = await fetch(url, { ...init, signal });
+  if (!res.ok) throw new Error(`${cfg.provider.label} ${res.status}: ${await res.text()}`);
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let full = "";
+  const usage = { input: 0, output: 0 };
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Server-sent events: one "data: {...}" per line
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.replace(/^data:\s*/, "").trim();
+        if (!line.startsWith("data:") || !data || data === "[DONE]") continue;
+        const event = cfg.provider.parseStream(JSON.parse(data));
+        if (event.usage) {
+          usage.input = event.usage.input || usage.input;
+          usage.output = event.usage.output || usage.output;
+        }
+        if (event.text) {
+          full += event.text;
+          onDelta(event.text);
+        }
+      }
+    }
+  } finally {
+    // Usage arrives in the last events: a stream aborted on navigation or cut off
+    // mid-body was still billed, so estimate whatever the provider did not report
+    if (!usage.input) usage.input = estimateTokens(messages.map(m => m.content).join("\n"));
+    if (!usage.output) usage.output = estimateTokens(full);
+    await recordUsage(cfg, usage, chapter).catch(e => console.warn("[AI] Usage record failed:", e.message));
+  }
+  return full;
+}
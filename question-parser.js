@@ -0,0 +1,136 @@
+/*  question-parser.js  –  Read Norton "Check Your Understanding" questions from the DOM
+ *
+ *  Loaded before content.js in every frame (manifest content_scripts) and by the
+ *  jsdom tests in test/. Exposes one global, QuestionParser:
+ *    deepFind(root, selector)             -> Element[]   (open shadow roots included)
+ *    deepFindByText(root, tag, text)      -> Element[]
+ *    groupByName(radios)                  -> Element[][] (one group per question)
+ *    getLabel(radio)                      -> string      (option text, "A. " prefix removed)
+ *    getQuestionText(radios)              -> string
+ *
+ *  Pure DOM reads: nothing here clicks, logs or talks to the extension.
+ *  When Norton's markup changes, add a fixture under test/fixtures and run `npm test`.
+ */
+
+const QuestionParser = (() => {
+    "use strict";
+
+    // A ShadowRoot is a document fragment with a host (no global ShadowRoot needed under jsdom)
+    const isShadowRoot = node => node?.nodeType === 11 && !!node.host;
+
+    /* ======= DEEP SHADOW DOM TRAVERSAL ======= */
+
+    function deepFind(root, selector) {
+        let found = [...root.querySelectorAll(selector)];
+        for (const el of root.querySelectorAll("*")) {
+            if (el.shadowRoot) found = found.concat(deepFind(el.shadowRoot, selector));
+        }
+        return found;
+    }
+
+    function deepFindByText(root, tag, text) {
+        return deepFind(root, tag).filter(el =>
+            el.textContent.trim().toLowerCase().includes(text.toLowerCase())
+        );
+    }
+
+    /* ======= QUESTION GROUPS ======= */
+
+    function groupByName(radios) {
+        const groups = {};
+        radios.forEach(r => {
+            const key = r.name || r.getAttribute("name") || "__default__";
+            (groups[key] = groups[key] || []).push(r);
+        });
+        return Object.values(groups);
+    }
+
+    /* ======= SCRAPE QUESTION DATA ======= */
+
+    function getLabel(radio) {
+        function clean(s) {
+            return (s || "").trim().replace(/^[A-F]\.\s*/i, "").trim();
+        }
+
+        // 1. Try parent <label> — but only if it has substantial text
+        const pLbl = radio.closest("label");
+        if (pLbl) {
+            const txt = clean(pLbl.textContent);
+            if (txt.length > 3) return txt;
+        }
+
+        // 2. Try label[for="id"]
+        const root = radio.getRootNode();
+        if (radio.id) {
+            const lbl = root.querySelector?.(`label[for="${radio.id}"]`);
+            if (lbl) {
+                const txt = clean(lbl.textContent);
+                if (txt.length > 3) return txt;
+            }
+        }
+
+        // 3. Check siblings of the radio (answer text might be next to it)
+        const sib = radio.nextElementSibling;
+        if (sib) {
+            const txt = clean(sib.textContent);
+            if (txt.length > 3) return txt;
+        }
+
+        // 4. Check parent's children — the answer text may be a sibling div/span
+        const parent = radio.parentElement;
+        if (parent) {
+            for (const child of parent.children) {
+                if (child === radio) continue;
+                const txt = clean(child.textContent);
+                if (txt.length > 3) return txt;
+            }
+            // 5. Try grandparent's children
+            const gp = parent.parentElement;
+            if (gp) {
+                for (const child of gp.children) {
+                    if (child === parent || child.querySelector?.("input")) continue;
+                    const txt = clean(child.textContent);
+                    if (txt.length > 3) return txt;
+                }
+            }
+        }
+
+        // 6. Fallback: parent text
+        const txt = clean(parent?.textContent);
+        return txt || "(no label)";
+    }
+
+    function getQuestionText(radios) {
+        let el = radios[0];
+        for (let i = 0; i < 20 && el; i++) {
+            const root = el.getRootNode();
+            const node = isShadowRoot(root) ? root.host : el;
+            const t = node?.textContent || "";
+
+            if (t.includes("Question") && t.includes("Select an Answer")) {
+                const m = t.match(/Question\s*([\s\S]*?)(?:Select an Answer)/i);
+                if (m && m[1].trim().length > 5) return m[1].trim();
+            }
+
+            if (isShadowRoot(root)) el = root.host;
+            else el = el.parentElement;
+        }
+
+        // Fallback
+        let container = radios[0].parentElement;
+        for (let i = 0; i < 10 && container; i++) {
+            const t = container.textContent || "";
+            if (t.length > 50 && t.length < 2000) {
+                const m = t.match(/Question\s*([\s\S]*?)(?:Select an Answer)/i);
+                if (m) return m[1].trim();
+            }
+            container = container.parentElement;
+        }
+
+        return "(Could not extract question text)";
+    }
+
+    return { deepFind, deepFindByText, groupByName, getLabel, getQuestionText };
+})();
+
+if (typeof module === "object" && module.exports) module.exports = QuestionParser;
@@ -0,0 +1,203 @@
+/*  quiz-export.js  –  Question bank as a standalone offline practice test
+ *
+ *  Loaded by options.html. Exposes one global, QuizExport:
+ *    toHtml(entries, { title })  -> string   (one self-contained .html file)
+ *
+ *  The file embeds the questions as JSON plus the quiz script below, and a CSP
+ *  that blocks every network request. It opens in any browser, no extension needed:
+ *  questions and options are shuffled, the test is timed and graded locally.
+ *  Only questions whose correct option the student has found are included.
+ */
+
+const QuizExport = (() => {
+    "use strict";
+
+    function escapeHtml(s) {
+        return String(s).replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" }[c]));
+    }
+
+    /** JSON that is safe inside <script>: no "</script>" or "<!--" can close it early. */
+    function scriptJson(value) {
+        return JSON.stringify(value).replace(/</g, "\\u003c").replace(/\u2028/g, "\\u2028").replace(/\u2029/g, "\\u2029");
+    }
+
+    function gradable(entries) {
+        return entries
+            .filter(e => e.correct && e.options.includes(e.correct))
+            .map(e => ({
+                question: e.question,
+                options: e.options,
+                answer: e.options.indexOf(e.correct),
+                chapter: e.chapter || "Untitled",
+            }));
+    }
+
+    /* ======= QUIZ RUNTIME (serialized into the file, runs without the extension) ======= */
+
+    function runQuiz(data) {
+        const $ = id => document.getElementById(id);
+        const el = (tag, text, cls) => {
+            const n = document.createElement(tag);
+            if (text !== undefined) n.textContent = text;
+            if (cls) n.className = cls;
+            return n;
+        };
+        const shuffle = arr => {
+            const a = arr.slice();
+            for (let i = a.length - 1; i > 0; i--) {
+                const j = Math.floor(Math.random() * (i + 1));
+                [a[i], a[j]] = [a[j], a[i]];
+            }
+            return a;
+        };
+
+        let timer = null;
+
+        const chapters = [...new Set(data.map(q => q.chapter))].sort();
+        chapters.forEach(c => $("chapter").appendChild(el("option", c)));
+        $("count").max = data.length;
+        $("count").value = Math.min(20, data.length);
+        $("available").textContent = data.length;
+
+        $("start").onclick = () => {
+            const pool = data.filter(q => !$("chapter").value || q.chapter === $("chapter").value);
+            const count = Math.max(1, Math.min(pool.length, parseInt($("count").value, 10) || pool.length));
+            const minutes = Math.max(1, parseFloat($("minutes").value) || count);
+            const questions = shuffle(pool).slice(0, count).map(q => {
+                const order = shuffle(q.options.map((_, i) => i));
+                return { ...q, order, picked: -1, labels: [] };
+            });
+            start(questions, minutes);
+        };
+
+        function start(questions, minutes) {
+            $("setup").hidden = true;
+            $("result").hidden = true;
+            $("quiz").hidden = false;
+            $("submit").hidden = false;
+            const list = $("questions");
+            list.textContent = "";
+
+            questions.forEach((q, qi) => {
+                const box = el("fieldset", undefined, "question");
+                box.appendChild(el("legend", `${qi + 1}. ${q.question}`));
+                q.order.forEach(oi => {
+                    const label = el("label");
+                    const input = el("input");
+                    input.type = "radio";
+                    input.name = `q${qi}`;
+                    input.onchange = () => { q.picked = oi; };
+                    label.append(input, ` ${q.options[oi]}`);
+                    q.labels[oi] = label;
+                    box.appendChild(label);
+                });
+                q.box = box;
+                list.appendChild(box);
+            });
+
+            const end = Date.now() + minutes * 60000;
+            const tick = () => {
+                const left = Math.max(0, end - Date.now());
+                const s = Math.ceil(left / 1000);
+                $("timer").textContent = `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+                $("timer").className = s <= 60 ? "timer low" : "timer";
+                if (left === 0) finish(questions, true);
+            };
+            clearInterval(timer);
+            timer = setInterval(tick, 250);
+            tick();
+            $("submit").onclick = () => finish(questions, false);
+            window.scrollTo(0, 0);
+        }
+
+        function finish(questions, timedOut) {
+            clearInterval(timer);
+            let score = 0;
+            questions.forEach(q => {
+                q.box.querySelectorAll("input").forEach(i => { i.disabled = true; });
+                const right = q.picked === q.answer;
+                if (right) score++;
+                q.labels[q.answer].className = "right";
+                if (q.picked >= 0 && !right) q.labels[q.picked].className = "wrong";
+                if (q.picked < 0) q.box.appendChild(el("div", "Not answered", "missed"));
+            });
+            $("submit").hidden = true;
+            $("result").hidden = false;
+            $("score").textContent = `${timedOut ? "Time is up! " : ""}` +
+                `${score} / ${questions.length} correct (${Math.round((score / questions.length) * 100)}%)`;
+            $("again").onclick = () => {
+                $("quiz").hidden = true;
+                $("result").hidden = true;
+                $("setup").hidden = false;
+            };
+            window.scrollTo(0, 0);
+        }
+    }
+
+    /* ======= DOCUMENT ======= */
+
+    const STYLE = `
+        * { box-sizing: border-box; }
+        body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; background: #1a1a2e;
+               color: #e0e0e0; margin: 0; padding: 24px 12px; line-height: 1.45; }
+        main { max-width: 720px; margin: 0 auto; }
+        h1 { color: #e94560; font-size: 20px; }
+        .card { background: #16213e; border: 1px solid #0f3460; border-radius: 12px; padding: 20px; margin-bottom: 16px; }
+        label { display: block; margin: 6px 0; cursor: pointer; }
+        select, input[type=number] { background: #1a1a2e; color: #e0e0e0; border: 1px solid #0f3460;
+               border-radius: 6px; padding: 6px; font: inherit; }
+        button { padding: 10px 18px; border: none; border-radius: 8px; background: #e94560; color: #fff;
+               font: inherit; font-weight: 600; cursor: pointer; }
+        fieldset.question { border: 1px solid #0f3460; border-radius: 10px; margin: 0 0 14px; padding: 12px 16px; background: #16213e; }
+        legend { font-weight: 600; color: #fff; padding: 0 4px; }
+        .right { color: #53d769; font-weight: 600; }
+        .wrong { color: #ff6b6b; text-decoration: line-through; }
+        .missed { color: #f5a623; font-size: 13px; }
+        .timer { position: sticky; top: 0; background: #1a1a2e; padding: 8px 0; font-size: 18px; font-weight: 700; }
+        .timer.low { color: #ff6b6b; }
+        .score { font-size: 18px; font-weight: 700; margin-bottom: 10px; }
+        .sub { color: #999; font-size: 13px; }`;
+
+    function toHtml(entries, { title = "Norton practice test" } = {}) {
+        const questions = gradable(entries);
+        if (questions.length === 0) throw new Error("No questions with a known correct answer yet.");
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="card" id="setup">
+    <p class="sub"><span id="available"></span> questions you answered in the ebook. Works offline.</p>
+    <label>Chapter <select id="chapter"><option value="">All chapters</option></select></label>
+    <label>Questions <input type="number" id="count" min="1"></label>
+    <label>Time limit (minutes) <input type="number" id="minutes" min="1" value="15"></label>
+    <button id="start">Start test</button>
+  </div>
+  <div id="result" class="card" hidden>
+    <div class="score" id="score"></div>
+    <button id="again">New test</button>
+  </div>
+  <div id="quiz" hidden>
+    <div class="timer" id="timer"></div>
+    <div id="questions"></div>
+    <button id="submit">Submit answers</button>
+  </div>
+</main>
+<script>
+(${runQuiz})(${scriptJson(questions)});
+</script>
+</body>
+</html>
+`;
+    }
+
+    return { toHtml };
+})();
@@ -0,0 +1,106 @@
+/*  review.js  –  Spaced-repetition review of the student's own mistakes
+ *
+ *  Items come from chrome.storage.local "mistakeLog" (written by content.js).
+ *  Scheduling follows SM-2; the student grades themselves, nothing is submitted.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const itemEl = document.getElementById("item");
+const emptyEl = document.getElementById("empty");
+const questionEl = document.getElementById("question");
+const optionsEl = document.getElementById("options");
+const revealBtn = document.getElementById("revealBtn");
+const backEl = document.getElementById("back");
+const notesEl = document.getElementById("notes");
+const statusEl = document.getElementById("status");
+
+let queue = [];
+
+/**
+ * SM-2: quality 0-5. Below 3 is a lapse and restarts the item.
+ * Returns the new { reps, interval, ease, due }.
+ */
+function sm2(prev, quality, now = Date.now()) {
+    let { reps = 0, interval = 0, ease = 2.5 } = prev || {};
+
+    if (quality < 3) {
+        reps = 0;
+        interval = 1;
+    } else {
+        if (reps === 0) interval = 1;
+        else if (reps === 1) interval = 6;
+        else interval = Math.round(interval * ease);
+        reps++;
+    }
+
+    ease = Math.max(1.3, ease + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+    return { reps, interval, ease, due: now + interval * DAY };
+}
+
+async function loadQueue() {
+    const { mistakeLog = {} } = await chrome.storage.local.get("mistakeLog");
+    const now = Date.now();
+    queue = Object.values(mistakeLog)
+        .filter(e => (e.sm2?.due ?? 0) <= now)
+        .sort((a, b) => (a.sm2?.due ?? 0) - (b.sm2?.due ?? 0));
+
+    const total = Object.keys(mistakeLog).length;
+    statusEl.textContent = `${queue.length} due · ${total} in your mistake log`;
+    showNext();
+}
+
+function showNext() {
+    const entry = queue[0];
+    itemEl.classList.toggle("hidden", !entry);
+    emptyEl.classList.toggle("hidden", !!entry);
+    if (!entry) return;
+
+    questionEl.textContent = entry.question;
+    optionsEl.textContent = "";
+    for (const opt of entry.options) {
+        const li = document.createElement("li");
+        li.textContent = opt;
+        optionsEl.appendChild(li);
+    }
+    revealBtn.classList.remove("hidden");
+    backEl.classList.add("hidden");
+}
+
+// ── Reveal: mark previous wrong picks (and the right one, if known) ──
+revealBtn.addEventListener("click", () => {
+    const entry = queue[0];
+    [...optionsEl.children].forEach((li, i) => {
+        const opt = entry.options[i];
+        if (opt === entry.correct) li.className = "correct";
+        else if (entry.wrong.includes(opt)) li.className = "wrong";
+    });
+
+    notesEl.textContent = entry.correct
+        ? "You later answered this correctly in the reader. "
+        : `You ruled out ${entry.wrong.length} option(s) so far. `;
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.target = "_blank";
+    link.textContent = "Open the ebook page";
+    notesEl.appendChild(link);
+
+    revealBtn.classList.add("hidden");
+    backEl.classList.remove("hidden");
+});
+
+// ── Self-grade ──
+backEl.querySelectorAll("button[data-grade]").forEach(btn => {
+    btn.addEventListener("click", async () => {
+        const entry = queue.shift();
+        const { mistakeLog = {} } = await chrome.storage.local.get("mistakeLog");
+        if (mistakeLog[entry.id]) {
+            mistakeLog[entry.id].sm2 = sm2(mistakeLog[entry.id].sm2, Number(btn.dataset.grade));
+            await chrome.storage.local.set({ mistakeLog });
+        }
+        statusEl.textContent = `${queue.length} left in this session`;
+        showNext();
+    });
+});
+
+loadQueue();
@@ -0,0 +1,93 @@
+/*  question-parser.test.js  –  Extraction checks against saved reader markup
+ *
+ *  Fixtures in test/fixtures are reader HTML with shadow roots serialized as
+ *  <template shadowrootmode="open"> (Chrome: element.getHTML({ serializableShadowRoots: true })).
+ *  Run with `npm test`.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const { deepFind, deepFindByText, groupByName, getLabel, getQuestionText } = require("../question-parser.js");
+
+/** Attach declarative shadow roots by hand (jsdom does not parse them). */
+function attachShadowTemplates(root) {
+    for (const template of root.querySelectorAll("template[shadowrootmode]")) {
+        const shadow = template.parentElement.attachShadow({ mode: template.getAttribute("shadowrootmode") });
+        shadow.appendChild(template.content);
+        template.remove();
+        attachShadowTemplates(shadow);
+    }
+}
+
+function loadFixture(name) {
+    const html = fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+    const { document } = new JSDOM(html).window;
+    attachShadowTemplates(document);
+    return document;
+}
+
+const questions = document => groupByName(deepFind(document, 'input[type="radio"], [role="radio"]'));
+
+test("nds-question: NDS radios inside a shadow root", () => {
+    const document = loadFixture("nds-question.html");
+    const radios = deepFind(document, "input.nds-field__input--radio");
+    assert.equal(radios.length, 4);
+
+    const groups = groupByName(radios);
+    assert.equal(groups.length, 1);
+    assert.equal(getQuestionText(groups[0]),
+        "Which brain structure is most closely associated with forming new long-term memories?");
+    assert.deepEqual(groups[0].map(getLabel), ["Amygdala", "Hippocampus", "Cerebellum", "Occipital lobe"]);
+
+    const check = deepFindByText(document, "button", "check answer");
+    assert.equal(check.length, 1);
+});
+
+test("nested-label-for: nested shadow roots, <label for>, two questions", () => {
+    const document = loadFixture("nested-label-for.html");
+    const groups = questions(document);
+    assert.equal(groups.length, 2);
+
+    assert.equal(getQuestionText(groups[0]), "A dog salivates at the sound of a can opener. This is an example of");
+    assert.deepEqual(groups[0].map(getLabel),
+        ["Operant conditioning", "Classical conditioning", "Observational learning"]);
+
+    assert.equal(getQuestionText(groups[1]), "Removing an unpleasant stimulus to increase a behavior is called");
+    assert.deepEqual(groups[1].map(getLabel), ["Negative reinforcement", "Positive punishment"]);
+
+    assert.equal(deepFindByText(document, "button", "check answer").length, 2);
+});
+
+test("sibling-text: option text next to the radio or beside its wrapper", () => {
+    const document = loadFixture("sibling-text.html");
+    const groups = questions(document);
+    assert.equal(groups.length, 2);
+
+    assert.deepEqual(groups[0].map(getLabel), ["Standard deviation", "Median"]);
+    assert.deepEqual(groups[1].map(getLabel), ["Variance", "Mode"]);
+    for (const group of groups) {
+        assert.equal(getQuestionText(group), "Which of the following is a measure of central tendency?");
+    }
+});
+
+test("role-radio: ARIA radios grouped by their name attribute", () => {
+    const document = loadFixture("role-radio.html");
+    const radios = deepFind(document, '[role="radio"]');
+    assert.equal(radios.length, 3);
+
+    const groups = groupByName(radios);
+    assert.equal(groups.length, 1);
+    assert.equal(getQuestionText(groups[0]), "Which research method can establish cause and effect?");
+    assert.deepEqual(groups[0].map(getLabel), ["Correlational study", "Experiment", "Case study"]);
+});
+
+test("missing markup falls back to placeholders instead of throwing", () => {
+    const { document } = new JSDOM('<div><input type="radio" name="x" /></div>').window;
+    const group = deepFind(document, 'input[type="radio"]');
+    assert.equal(getLabel(group[0]), "(no label)");
+    assert.equal(getQuestionText(group), "(Could not extract question text)");
+});
@@ -0,0 +1,93 @@
+/*  usage.js  –  Token usage, estimated cost and monthly budget
+ *
+ *  Loaded by background.js (importScripts) and options.html.
+ *  providers.js calls checkBudget() before and recordUsage() after every completion,
+ *  including streams that were aborted or failed part-way (usage estimated when not reported).
+ *
+ *  chrome.storage.local "usageLog" = {
+ *    days:     { "YYYY-MM-DD": totals },   (last 90 days)
+ *    months:   { "YYYY-MM":    totals },
+ *    chapters: { [chapter]:    totals },
+ *  }   totals = { requests, input, output, cost }
+ *  chrome.storage.sync "monthlyBudget" = USD, 0 or missing = no limit
+ */
+
+/** USD per 1M tokens [input, output]. Matched by model-name prefix; local models are free. */
+const PRICES = {
+  "gpt-4o-mini": [0.15, 0.6],
+  "gpt-4o": [2.5, 10],
+  "gpt-4.1-mini": [0.4, 1.6],
+  "gpt-4.1": [2, 8],
+  "claude-haiku": [1, 5],
+  "claude-sonnet": [3, 15],
+  "claude-opus": [15, 75],
+};
+
+const USAGE_DAYS_KEPT = 90;
+
+function estimateCost(providerId, model, { input, output }) {
+  if (providerId === "local") return 0;
+  const prefix = Object.keys(PRICES)
+    .filter(p => model.startsWith(p))
+    .sort((a, b) => b.length - a.length)[0];
+  const [inPrice, outPrice] = PRICES[prefix] || PRICES["gpt-4o"];
+  return (input * inPrice + output * outPrice) / 1e6;
+}
+
+function localDay(d = new Date()) {
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function addTotals(totals = { requests: 0, input: 0, output: 0, cost: 0 }, usage, cost) {
+  return {
+    requests: totals.requests + 1,
+    input: totals.input + usage.input,
+    output: totals.output + usage.output,
+    cost: totals.cost + cost,
+  };
+}
+
+// Completions finish concurrently: one read-modify-write of "usageLog" at a time
+let usageWriting = Promise.resolve();
+
+function recordUsage(cfg, usage, chapter = "(unknown)") {
+  const write = usageWriting.then(() => writeUsage(cfg, usage, chapter));
+  usageWriting = write.catch(() => { });
+  return write;
+}
+
+/** Rough token count for text whose usage the provider never reported (about 4 characters per token). */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / 4);
+}
+
+async function writeUsage(cfg, usage, chapter) {
+  const cost = estimateCost(cfg.id, cfg.model, usage);
+  const day = localDay();
+  const month = day.slice(0, 7);
+
+  const { usageLog = {} } = await chrome.storage.local.get("usageLog");
+  const { days = {}, months = {}, chapters = {} } = usageLog;
+  days[day] = addTotals(days[day], usage, cost);
+  months[month] = addTotals(months[month], usage, cost);
+  chapters[chapter] = addTotals(chapters[chapter], usage, cost);
+
+  const cutoff = localDay(new Date(Date.now() - USAGE_DAYS_KEPT * 24 * 60 * 60 * 1000));
+  for (const d of Object.keys(days)) if (d < cutoff) delete days[d];
+
+  await chrome.storage.local.set({ usageLog: { days, months, chapters } });
+  console.log(`[AI] Usage: ${usage.input} in / ${usage.output} out, ~$${cost.toFixed(4)}`);
+}
+
+/** Throws once this month's estimated spend has reached the budget. */
+async function checkBudget() {
+  const { monthlyBudget } = await chrome.storage.sync.get("monthlyBudget");
+  if (!(monthlyBudget > 0)) return;
+
+  const { usageLog = {} } = await chrome.storage.local.get("usageLog");
+  const spent = usageLog.months?.[localDay().slice(0, 7)]?.cost || 0;
+  if (spent >= monthlyBudget) {
+    throw new Error(`Monthly budget of $${monthlyBudget.toFixed(2)} reached ($${spent.toFixed(2)} spent). ` +
+      "Raise it in extension Options to continue.");
+  }
+}